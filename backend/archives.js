@@ -0,0 +1,403 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const zlib = require('zlib');
+
+// Byte-exact archive layouts for multi-file downloads.
+// Stored (uncompressed) ZIP and plain tar are laid out up front from file names and
+// sizes alone, so the total length is known before a byte is read and any byte range
+// of the archive maps back onto file ranges. That's what lets download managers
+// resume an archive. Deflated ZIPs still go through archiver (see server.js).
+//
+// A plan is { length, segments } where each segment covers `length` bytes at `offset`:
+//   { buffer }             fixed bytes (headers, padding)
+//   { entry }              an entry's contents, read through entry.open({ start, end })
+//   { build, requires }    bytes that need the CRC-32s of `requires` (ZIP data
+//                          descriptors, central directory)
+// An entry is { id, name, size, mtimeMs, crc32, crcState, open, onCrc }. A file's CRC
+// isn't known until it has been zipped once: it's hashed as it streams, and a download
+// that stops part-way leaves crcState ({ bytes, crc } so far) for the resume to carry on
+// from, so resuming never has to re-read what was already sent.
+
+const MAX32 = 0xFFFFFFFF;
+const MAX16 = 0xFFFF;
+const ZIP_FLAGS = 0x0008 | 0x0800; // data descriptor follows, UTF-8 names
+const TAR_BLOCK = 512;
+const TAR_MAX_SIZE = 0o77777777777; // Largest size an 11-digit octal field holds (8GB)
+
+// zlib.crc32 only exists from Node 20.15 / 22.2; older releases get the same
+// (chainable) result from the classic table-driven version
+const CRC_TABLE = (() => {
+  const table = new Int32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c;
+  }
+  return table;
+})();
+
+const crc32 = zlib.crc32 || ((data, value = 0) => {
+  let crc = (value ^ MAX32) >>> 0;
+  for (let i = 0; i < data.length; i++) crc = CRC_TABLE[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ MAX32) >>> 0;
+});
+
+// Already-compressed formats: deflating them again only burns CPU
+const COMPRESSED_EXTENSIONS = new Set([
+  'zip', 'gz', 'tgz', 'bz2', 'xz', 'zst', '7z', 'rar', 'lz', 'lzma', 'br',
+  'jpg', 'jpeg', 'png', 'gif', 'webp', 'heic', 'heif', 'avif', 'jxl',
+  'mp3', 'm4a', 'aac', 'ogg', 'oga', 'opus', 'flac',
+  'mp4', 'm4v', 'mov', 'mkv', 'webm', 'avi', 'wmv',
+  'docx', 'xlsx', 'pptx', 'odt', 'ods', 'odp', 'epub', 'jar', 'apk', 'ipa', 'dmg', 'enc'
+]);
+
+const isCompressedFile = (name, mimetype) => {
+  const ext = String(name || '').split('.').pop().toLowerCase();
+  if (COMPRESSED_EXTENSIONS.has(ext)) return true;
+  return /^(video|audio)\//.test(mimetype || '') || /^image\/(jpeg|png|gif|webp|avif|heic)$/.test(mimetype || '');
+};
+
+// Archive paths must be unique; later duplicates become "name (2).ext"
+const uniqueArchiveNames = (names) => {
+  const seen = new Set();
+  return names.map(name => {
+    let candidate = name;
+    for (let i = 2; seen.has(candidate.toLowerCase()); i++) {
+      const dot = name.lastIndexOf('.');
+      candidate = dot > 0 ? `${name.slice(0, dot)} (${i})${name.slice(dot)}` : `${name} (${i})`;
+    }
+    seen.add(candidate.toLowerCase());
+    return candidate;
+  });
+};
+
+const createPlanBuilder = () => {
+  const segments = [];
+  let offset = 0;
+  const push = (segment) => {
+    segment.offset = offset;
+    offset += segment.length;
+    segments.push(segment);
+  };
+  return { push, segments, offset: () => offset };
+};
+
+// ---------------------------------------------------------------------------
+// ZIP (stored, ZIP64 where needed)
+
+// DOS date/time in UTC so the same files always produce the same bytes
+const toDosDateTime = (ms) => {
+  const d = new Date(ms || 0);
+  if (d.getUTCFullYear() < 1980) return { time: 0, date: (1 << 5) | 1 };
+  return {
+    time: (d.getUTCHours() << 11) | (d.getUTCMinutes() << 5) | (d.getUTCSeconds() >> 1),
+    date: ((d.getUTCFullYear() - 1980) << 9) | ((d.getUTCMonth() + 1) << 5) | d.getUTCDate()
+  };
+};
+
+const writeUInt64LE = (buffer, value, offset) => buffer.writeBigUInt64LE(BigInt(value), offset);
+
+const zipLocalHeader = (record) => {
+  const extra = record.zip64 ? Buffer.alloc(20) : Buffer.alloc(0);
+  if (record.zip64) {
+    // Sizes follow in the data descriptor; the ZIP64 field only marks them as 8-byte
+    extra.writeUInt16LE(0x0001, 0);
+    extra.writeUInt16LE(16, 2);
+  }
+  const header = Buffer.alloc(30);
+  header.writeUInt32LE(0x04034b50, 0);
+  header.writeUInt16LE(record.zip64 ? 45 : 20, 4);
+  header.writeUInt16LE(ZIP_FLAGS, 6);
+  header.writeUInt16LE(0, 8); // stored
+  header.writeUInt16LE(record.time, 10);
+  header.writeUInt16LE(record.date, 12);
+  header.writeUInt32LE(0, 14);
+  header.writeUInt32LE(record.zip64 ? MAX32 : 0, 18);
+  header.writeUInt32LE(record.zip64 ? MAX32 : 0, 22);
+  header.writeUInt16LE(record.name.length, 26);
+  header.writeUInt16LE(extra.length, 28);
+  return Buffer.concat([header, record.name, extra]);
+};
+
+const zipDescriptorLength = (record) => (record.zip64 ? 24 : 16);
+
+const zipDescriptor = (record) => {
+  const buffer = Buffer.alloc(zipDescriptorLength(record));
+  buffer.writeUInt32LE(0x08074b50, 0);
+  buffer.writeUInt32LE(record.entry.crc32 >>> 0, 4);
+  if (record.zip64) {
+    writeUInt64LE(buffer, record.entry.size, 8);
+    writeUInt64LE(buffer, record.entry.size, 16);
+  } else {
+    buffer.writeUInt32LE(record.entry.size, 8);
+    buffer.writeUInt32LE(record.entry.size, 12);
+  }
+  return buffer;
+};
+
+const zipCentralLength = (record) => 46 + record.name.length + (record.zip64 ? 28 : 0);
+
+const zipCentralRecord = (record) => {
+  const extra = record.zip64 ? Buffer.alloc(28) : Buffer.alloc(0);
+  if (record.zip64) {
+    extra.writeUInt16LE(0x0001, 0);
+    extra.writeUInt16LE(24, 2);
+    writeUInt64LE(extra, record.entry.size, 4);
+    writeUInt64LE(extra, record.entry.size, 12);
+    writeUInt64LE(extra, record.headerOffset, 20);
+  }
+  const header = Buffer.alloc(46);
+  header.writeUInt32LE(0x02014b50, 0);
+  header.writeUInt16LE((3 << 8) | 45, 4); // made by: Unix, ZIP 4.5
+  header.writeUInt16LE(record.zip64 ? 45 : 20, 6);
+  header.writeUInt16LE(ZIP_FLAGS, 8);
+  header.writeUInt16LE(0, 10);
+  header.writeUInt16LE(record.time, 12);
+  header.writeUInt16LE(record.date, 14);
+  header.writeUInt32LE(record.entry.crc32 >>> 0, 16);
+  header.writeUInt32LE(record.zip64 ? MAX32 : record.entry.size, 20);
+  header.writeUInt32LE(record.zip64 ? MAX32 : record.entry.size, 24);
+  header.writeUInt16LE(record.name.length, 28);
+  header.writeUInt16LE(extra.length, 30);
+  header.writeUInt32LE((0o100644 << 16) >>> 0, 38); // regular file, rw-r--r--
+  header.writeUInt32LE(record.zip64 ? MAX32 : record.headerOffset, 42);
+  return Buffer.concat([header, record.name, extra]);
+};
+
+const zipEndRecords = (count, cdOffset, cdLength, zip64) => {
+  const parts = [];
+  if (zip64) {
+    const end64 = Buffer.alloc(56);
+    end64.writeUInt32LE(0x06064b50, 0);
+    writeUInt64LE(end64, 44, 4);
+    end64.writeUInt16LE(45, 12);
+    end64.writeUInt16LE(45, 14);
+    writeUInt64LE(end64, count, 24);
+    writeUInt64LE(end64, count, 32);
+    writeUInt64LE(end64, cdLength, 40);
+    writeUInt64LE(end64, cdOffset, 48);
+
+    const locator = Buffer.alloc(20);
+    locator.writeUInt32LE(0x07064b50, 0);
+    writeUInt64LE(locator, cdOffset + cdLength, 8);
+    locator.writeUInt32LE(1, 16);
+    parts.push(end64, locator);
+  }
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(zip64 ? MAX16 : count, 8);
+  end.writeUInt16LE(zip64 ? MAX16 : count, 10);
+  end.writeUInt32LE(zip64 ? MAX32 : cdLength, 12);
+  end.writeUInt32LE(zip64 ? MAX32 : cdOffset, 16);
+  parts.push(end);
+  return Buffer.concat(parts);
+};
+
+const buildZipPlan = (entries) => {
+  const plan = createPlanBuilder();
+  const records = entries.map(entry => {
+    const headerOffset = plan.offset();
+    const record = {
+      entry,
+      name: Buffer.from(entry.name, 'utf8'),
+      headerOffset,
+      zip64: entry.size >= MAX32 || headerOffset >= MAX32,
+      ...toDosDateTime(entry.mtimeMs)
+    };
+    const header = zipLocalHeader(record);
+    plan.push({ buffer: header, length: header.length });
+    plan.push({ entry, length: entry.size });
+    plan.push({ build: () => zipDescriptor(record), requires: [entry], length: zipDescriptorLength(record) });
+    return record;
+  });
+
+  const cdOffset = plan.offset();
+  const cdLength = records.reduce((total, record) => total + zipCentralLength(record), 0);
+  plan.push({ build: () => Buffer.concat(records.map(zipCentralRecord)), requires: entries, length: cdLength });
+
+  const zip64 = records.length >= MAX16 || cdOffset >= MAX32 || cdLength >= MAX32 || records.some(r => r.zip64);
+  const end = zipEndRecords(records.length, cdOffset, cdLength, zip64);
+  plan.push({ buffer: end, length: end.length });
+
+  return { format: 'zip', length: plan.offset(), segments: plan.segments, entries };
+};
+
+// ---------------------------------------------------------------------------
+// tar (ustar, with PAX headers for long/non-ASCII names and files over 8GB)
+
+const writeOctal = (buffer, offset, length, value) => {
+  buffer.write(`${value.toString(8).padStart(length - 1, '0')}\0`, offset, length, 'ascii');
+};
+
+const tarHeaderBlock = (name, size, mtimeMs, type) => {
+  const header = Buffer.alloc(TAR_BLOCK);
+  header.write(name, 0, 100, 'ascii');
+  writeOctal(header, 100, 8, 0o644);
+  writeOctal(header, 108, 8, 0);
+  writeOctal(header, 116, 8, 0);
+  writeOctal(header, 124, 12, size);
+  writeOctal(header, 136, 12, Math.floor((mtimeMs || 0) / 1000));
+  header.fill(0x20, 148, 156); // checksum counts as spaces while summing
+  header.write(type, 156, 1, 'ascii');
+  header.write('ustar\0', 257, 6, 'ascii');
+  header.write('00', 263, 2, 'ascii');
+
+  let checksum = 0;
+  for (let i = 0; i < TAR_BLOCK; i++) checksum += header[i];
+  header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148, 8, 'ascii');
+  return header;
+};
+
+// "<length> <key>=<value>\n", where length counts its own digits
+const paxRecord = (key, value) => {
+  const body = ` ${key}=${value}\n`;
+  const bodyLength = Buffer.byteLength(body);
+  let length = bodyLength + 1;
+  while (length !== bodyLength + String(length).length) length = bodyLength + String(length).length;
+  return `${length}${body}`;
+};
+
+const tarPadding = (size) => (TAR_BLOCK - (size % TAR_BLOCK)) % TAR_BLOCK;
+
+const tarHeaders = (entry) => {
+  const records = [];
+  const asciiName = /^[\x20-\x7e]*$/.test(entry.name);
+  if (!asciiName || Buffer.byteLength(entry.name) > 100) records.push(paxRecord('path', entry.name));
+  if (entry.size > TAR_MAX_SIZE) records.push(paxRecord('size', entry.size));
+
+  const fallbackName = entry.name.replace(/[^\x20-\x7e]/g, '_').slice(-100);
+  const header = tarHeaderBlock(fallbackName, entry.size > TAR_MAX_SIZE ? 0 : entry.size, entry.mtimeMs, '0');
+  if (records.length === 0) return header;
+
+  const pax = Buffer.from(records.join(''), 'utf8');
+  return Buffer.concat([
+    tarHeaderBlock(`PaxHeader/${fallbackName}`.slice(0, 100), pax.length, entry.mtimeMs, 'x'),
+    pax,
+    Buffer.alloc(tarPadding(pax.length)),
+    header
+  ]);
+};
+
+const buildTarPlan = (entries) => {
+  const plan = createPlanBuilder();
+  entries.forEach(entry => {
+    const header = tarHeaders(entry);
+    plan.push({ buffer: header, length: header.length });
+    plan.push({ entry, length: entry.size });
+    const padding = tarPadding(entry.size);
+    if (padding) plan.push({ buffer: Buffer.alloc(padding), length: padding });
+  });
+  const end = Buffer.alloc(TAR_BLOCK * 2);
+  plan.push({ buffer: end, length: end.length });
+  return { format: 'tar', length: plan.offset(), segments: plan.segments, entries };
+};
+
+// ---------------------------------------------------------------------------
+
+const hasCrc = (entry) => entry.crc32 !== null && entry.crc32 !== undefined;
+
+const setCrc = (entry, crc) => {
+  entry.crc32 = crc;
+  if (entry.onCrc) entry.onCrc(crc);
+};
+
+const readRange = async function* (entry, start, end) {
+  if (end < start) return;
+  const stream = await entry.open({ start, end });
+  let received = 0;
+  for await (const chunk of stream) {
+    received += chunk.length;
+    yield chunk;
+  }
+  if (received !== end - start + 1) throw new Error(`${entry.name} changed while being archived`);
+};
+
+// Hash whatever part of the entry hasn't been hashed yet
+const completeCrc = async (entry) => {
+  if (hasCrc(entry)) return;
+  const state = entry.crcState || (entry.crcState = { bytes: 0, crc: 0 });
+  for await (const chunk of readRange(entry, state.bytes, entry.size - 1)) {
+    state.crc = crc32(chunk, state.crc);
+    state.bytes += chunk.length;
+  }
+  setCrc(entry, state.crc);
+};
+
+// Stream bytes start..end (inclusive) of the archive
+const readPlan = (plan, { start = 0, end = plan.length - 1 } = {}) => {
+  async function* generate() {
+    for (const segment of plan.segments) {
+      const segmentEnd = segment.offset + segment.length - 1;
+      if (segment.length === 0 || segmentEnd < start || segment.offset > end) continue;
+      const from = Math.max(start, segment.offset) - segment.offset;
+      const to = Math.min(end, segmentEnd) - segment.offset;
+
+      if (!segment.entry) {
+        for (const entry of segment.requires || []) await completeCrc(entry);
+        const bytes = segment.buffer || segment.build();
+        yield bytes.subarray(from, to + 1);
+        continue;
+      }
+
+      const { entry } = segment;
+      if (plan.format !== 'zip' || hasCrc(entry)) {
+        yield* readRange(entry, from, to);
+        continue;
+      }
+
+      // ZIP entry without a CRC yet: hash as we go, catching up first if the range
+      // starts past what earlier downloads hashed
+      const state = entry.crcState || (entry.crcState = { bytes: 0, crc: 0 });
+      try {
+        for await (const chunk of readRange(entry, state.bytes, from - 1)) {
+          state.crc = crc32(chunk, state.crc);
+          state.bytes += chunk.length;
+        }
+        let position = from;
+        for await (const chunk of readRange(entry, from, to)) {
+          if (position + chunk.length > state.bytes) {
+            state.crc = crc32(chunk.subarray(Math.max(0, state.bytes - position)), state.crc);
+            state.bytes = position + chunk.length;
+          }
+          position += chunk.length;
+          yield chunk;
+        }
+        if (state.bytes === entry.size) setCrc(entry, state.crc);
+      } finally {
+        // Aborted part-way: remember how far we got for the resume
+        if (!hasCrc(entry) && entry.onCrcProgress) entry.onCrcProgress({ ...state });
+      }
+    }
+  }
+  return Readable.from(generate(), { objectMode: false });
+};
+
+// Entry backed by bytes in memory (the sealed manifest)
+const bufferEntry = (name, buffer, mtimeMs) => {
+  const crc = crc32(buffer);
+  return {
+    id: `crc-${crc}`,
+    name,
+    size: buffer.length,
+    mtimeMs,
+    crc32: crc,
+    open: async ({ start, end }) => Readable.from([buffer.subarray(start, end + 1)])
+  };
+};
+
+// Same entries in the same format always give the same bytes, so this is a strong validator
+const archiveEtag = (format, entries) => {
+  const hash = crypto.createHash('sha256').update(format);
+  entries.forEach(entry => hash.update(`\0${entry.id}\0${entry.name}\0${entry.size}\0${Math.floor(entry.mtimeMs || 0)}`));
+  return `"${hash.digest('base64url').slice(0, 27)}"`;
+};
+
+module.exports = {
+  isCompressedFile,
+  uniqueArchiveNames,
+  buildZipPlan,
+  buildTarPlan,
+  readPlan,
+  bufferEntry,
+  archiveEtag
+};
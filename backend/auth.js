@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Password hashing + signed session access tokens
+
+const SCRYPT_KEYLEN = 32;
+
+const hashPassword = (password) => {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEYLEN);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+};
+
+const verifyPassword = (password, stored) => {
+  if (typeof password !== 'string' || !stored) return false;
+  const [scheme, salt, hash] = stored.split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = crypto.scryptSync(password, Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+};
+
+// Random bearer secrets (owner tokens) are stored as SHA-256 digests
+const generateSecretToken = () => crypto.randomBytes(24).toString('base64url');
+
+const hashSecretToken = (token) => crypto.createHash('sha256').update(token).digest('base64');
+
+const secretTokenMatches = (token, storedHash) => {
+  if (typeof token !== 'string' || !token || !storedHash) return false;
+  const actual = Buffer.from(hashSecretToken(token));
+  const expected = Buffer.from(storedHash);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+// Use TOKEN_SECRET if set, otherwise generate one and keep it next to the store
+// so tokens stay valid across restarts
+const loadTokenSecret = (dataDir) => {
+  if (process.env.TOKEN_SECRET) return process.env.TOKEN_SECRET;
+  const secretPath = path.join(dataDir, 'token-secret');
+  if (fs.existsSync(secretPath)) return fs.readFileSync(secretPath, 'utf8').trim();
+  const secret = crypto.randomBytes(32).toString('base64');
+  fs.mkdirSync(dataDir, { recursive: true });
+  fs.writeFileSync(secretPath, secret, { mode: 0o600 });
+  return secret;
+};
+
+const createTokenSigner = (secret) => {
+  const sign = (payload) => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+  // Token = base64url(JSON claims).signature
+  const issue = (claims, ttlMs) => {
+    const payload = Buffer.from(JSON.stringify({ ...claims, exp: Date.now() + ttlMs })).toString('base64url');
+    return `${payload}.${sign(payload)}`;
+  };
+
+  // Returns the claims, or null if the token is malformed, forged or expired
+  const verify = (token) => {
+    if (typeof token !== 'string') return null;
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature) return null;
+
+    const expected = Buffer.from(sign(payload));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+    try {
+      const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      if (!claims.exp || claims.exp < Date.now()) return null;
+      return claims;
+    } catch (err) {
+      return null;
+    }
+  };
+
+  return { issue, verify };
+};
+
+// Counts failed attempts per key and locks the key out after too many
+const createAttemptLimiter = ({ maxAttempts, windowMs, lockoutMs }) => {
+  const attempts = new Map(); // { key: { count, firstAt, lockedUntil } }
+
+  const check = (key) => {
+    const entry = attempts.get(key);
+    if (!entry || !entry.lockedUntil) return 0;
+    const remaining = entry.lockedUntil - Date.now();
+    if (remaining <= 0) {
+      attempts.delete(key);
+      return 0;
+    }
+    return remaining;
+  };
+
+  const fail = (key) => {
+    const now = Date.now();
+    let entry = attempts.get(key);
+    if (!entry || now - entry.firstAt > windowMs) {
+      entry = { count: 0, firstAt: now, lockedUntil: 0 };
+    }
+    entry.count++;
+    if (entry.count >= maxAttempts) entry.lockedUntil = now + lockoutMs;
+    attempts.set(key, entry);
+    return Math.max(0, maxAttempts - entry.count);
+  };
+
+  const reset = (key) => attempts.delete(key);
+
+  // Drop stale entries so the map doesn't grow forever
+  const prune = () => {
+    const now = Date.now();
+    attempts.forEach((entry, key) => {
+      if (entry.lockedUntil ? entry.lockedUntil < now : now - entry.firstAt > windowMs) {
+        attempts.delete(key);
+      }
+    });
+  };
+
+  return { check, fail, reset, prune };
+};
+
+// Pull a bearer token from the Authorization header or ?token= (links, WebSockets)
+const getRequestToken = (req, url) => {
+  const header = req.headers.authorization;
+  if (header && header.startsWith('Bearer ')) return header.slice(7).trim();
+  if (url) return url.searchParams.get('token');
+  return req.query && req.query.token;
+};
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  generateSecretToken,
+  hashSecretToken,
+  secretTokenMatches,
+  loadTokenSecret,
+  createTokenSigner,
+  createAttemptLimiter,
+  getRequestToken
+};
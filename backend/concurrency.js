@@ -0,0 +1,27 @@
+// Runs at most `concurrency` jobs at once; the rest wait their turn.
+// Used for CPU/IO-heavy background work (previews, upload scans) so a burst of
+// uploads can't start hundreds of decoders or scanner connections at once.
+const createLimiter = (concurrency) => {
+  let running = 0;
+  const queue = [];
+
+  const next = () => {
+    if (running >= concurrency || queue.length === 0) return;
+    running++;
+    const { job, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(job)
+      .then(resolve, reject)
+      .finally(() => {
+        running--;
+        next();
+      });
+  };
+
+  return (job) => new Promise((resolve, reject) => {
+    queue.push({ job, resolve, reject });
+    next();
+  });
+};
+
+module.exports = { createLimiter };
@@ -0,0 +1,147 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+// Local disk under the uploads root: how full it is (createDiskGuard) and a multer
+// storage engine that never leaves half-written files behind (createStagingStorage).
+
+// Free space comes from statfs on the volume holding `root`; what `root` itself uses
+// from walking it (slower, so less often). Uploads reserve their declared size while
+// they run so a burst of parallel requests can't all squeeze into the same last GB.
+const createDiskGuard = ({ root, reserveBytes, refreshMs = 10 * 1000, scanMs = 5 * 60 * 1000 }) => {
+  let volume = null; // { totalBytes, freeBytes, checkedAt }
+  let usage = null; // { bytes, files, scannedAt }
+  let pendingBytes = 0;
+  let lowSpace = false;
+
+  const refresh = async () => {
+    try {
+      const stats = await fs.promises.statfs(root);
+      volume = {
+        totalBytes: stats.blocks * stats.bsize,
+        freeBytes: stats.bavail * stats.bsize,
+        checkedAt: Date.now()
+      };
+    } catch (err) {
+      console.error(`Disk check failed for ${root}:`, err.message);
+      return;
+    }
+
+    const wasLow = lowSpace;
+    lowSpace = volume.freeBytes < reserveBytes;
+    if (lowSpace && !wasLow) console.warn(`Low disk space: ${volume.freeBytes} bytes free, refusing new uploads`);
+    if (!lowSpace && wasLow) console.log(`Disk space recovered: ${volume.freeBytes} bytes free`);
+  };
+
+  const walk = async (dir) => {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (err) {
+      return { bytes: 0, files: 0 };
+    }
+    const total = { bytes: 0, files: 0 };
+    for (const entry of entries) {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        const sub = await walk(full);
+        total.bytes += sub.bytes;
+        total.files += sub.files;
+      } else if (entry.isFile()) {
+        try {
+          total.bytes += (await fs.promises.stat(full)).size;
+          total.files++;
+        } catch (err) {
+          // Deleted while we walked
+        }
+      }
+    }
+    return total;
+  };
+
+  const scan = async () => {
+    usage = { ...(await walk(root)), scannedAt: Date.now() };
+  };
+
+  // Bytes a new upload may still use; unknown (statfs unsupported) never blocks
+  const availableBytes = () => (volume ? volume.freeBytes - pendingBytes - reserveBytes : Infinity);
+
+  const canAccept = (bytes = 0) => availableBytes() > bytes;
+
+  // Hold `bytes` for an upload in flight; call the returned function when it ends (safe to call twice)
+  const reserve = (bytes) => {
+    const held = Number.isFinite(bytes) && bytes > 0 ? bytes : 0;
+    pendingBytes += held;
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      pendingBytes -= held;
+      refresh();
+    };
+  };
+
+  const getUsage = () => ({
+    root,
+    totalBytes: volume ? volume.totalBytes : null,
+    freeBytes: volume ? volume.freeBytes : null,
+    checkedAt: volume ? volume.checkedAt : null,
+    usedBytes: usage ? usage.bytes : null, // Under the uploads root only
+    usedFiles: usage ? usage.files : null,
+    scannedAt: usage ? usage.scannedAt : null,
+    reserveBytes,
+    pendingBytes,
+    availableBytes: volume ? Math.max(0, availableBytes()) : null,
+    acceptingUploads: canAccept()
+  });
+
+  const start = () => {
+    refresh();
+    scan();
+    setInterval(refresh, refreshMs).unref();
+    setInterval(scan, scanMs).unref();
+  };
+
+  return { start, refresh, scan, canAccept, reserve, getUsage };
+};
+
+// Drop-in for multer.diskStorage ({ destination, filename } callbacks alike). If the
+// client goes away mid-file, or the write fails (ENOSPC), the partial file is deleted
+// and multer gets the error, instead of the request hanging with the file half written.
+const createStagingStorage = ({ destination, filename }) => ({
+  _handleFile(req, file, cb) {
+    destination(req, file, (err, dir) => {
+      if (err) return cb(err);
+      filename(req, file, (err, name) => {
+        if (err) return cb(err);
+        const finalPath = path.join(dir, name);
+        const out = fs.createWriteStream(finalPath);
+
+        // Destroying the part (no error, so multer doesn't count it twice) fails the pipeline below
+        const onClose = () => {
+          if (!req.complete) file.stream.destroy();
+        };
+        req.once('close', onClose);
+
+        pipeline(file.stream, out).then(() => {
+          req.removeListener('close', onClose);
+          cb(null, { destination: dir, filename: name, path: finalPath, size: out.bytesWritten });
+        }, (err) => {
+          req.removeListener('close', onClose);
+          fs.unlink(finalPath, () => cb(err));
+        });
+      });
+    });
+  },
+
+  _removeFile(req, file, cb) {
+    delete file.destination;
+    delete file.filename;
+    fs.unlink(file.path, (err) => {
+      delete file.path;
+      cb(err && err.code !== 'ENOENT' ? err : null);
+    });
+  }
+});
+
+module.exports = { createDiskGuard, createStagingStorage };
@@ -0,0 +1,79 @@
+// Relative paths for folder uploads ("photos/2024/img.jpg") and the folder tree
+// built from them. Files keep their name in originalName and the folder part in
+// `folder` ('' for the top level).
+
+const MAX_PATH_LENGTH = 1024;
+const MAX_SEGMENT_LENGTH = 255;
+const MAX_DEPTH = 32;
+
+// Returns "a/b/c.txt" with forward slashes, or null if the path is absolute,
+// climbs out with "..", or is otherwise not something we'd write to a folder
+const normalizeRelativePath = (value) => {
+  if (typeof value !== 'string') return null;
+  const raw = value.replace(/\\/g, '/');
+  if (!raw || raw.length > MAX_PATH_LENGTH) return null;
+  if (raw.startsWith('/') || /^[a-zA-Z]:/.test(raw)) return null;
+
+  // "./a//b" is just "a/b"
+  const segments = raw.split('/').filter(segment => segment !== '' && segment !== '.');
+  if (segments.length === 0 || segments.length > MAX_DEPTH) return null;
+  const invalid = segments.some(segment => (
+    segment === '..' || segment.length > MAX_SEGMENT_LENGTH || /[\x00-\x1f\x7f]/.test(segment)
+  ));
+  return invalid ? null : segments.join('/');
+};
+
+const splitRelativePath = (relativePath) => {
+  const slash = relativePath.lastIndexOf('/');
+  if (slash === -1) return { folder: '', name: relativePath };
+  return { folder: relativePath.slice(0, slash), name: relativePath.slice(slash + 1) };
+};
+
+const joinFolderPath = (folder, name) => (folder ? `${folder}/${name}` : name);
+
+// Is something in `fileFolder` inside `folder` (at any depth)? '' is the top level.
+const isInFolder = (fileFolder, folder) => (
+  !folder || fileFolder === folder || (fileFolder || '').startsWith(`${folder}/`)
+);
+
+// Nest a flat file list (each with `folder`) into folders with size and file counts.
+// Every node's `type` is 'folder' or 'file'.
+const buildFileTree = (files) => {
+  const root = { type: 'folder', name: '', path: '', size: 0, fileCount: 0, children: [] };
+
+  files.forEach(file => {
+    let node = root;
+    const chain = [root];
+    (file.folder ? file.folder.split('/') : []).forEach(segment => {
+      let child = node.children.find(c => c.type === 'folder' && c.name === segment);
+      if (!child) {
+        child = { type: 'folder', name: segment, path: joinFolderPath(node.path, segment), size: 0, fileCount: 0, children: [] };
+        node.children.push(child);
+      }
+      node = child;
+      chain.push(node);
+    });
+    chain.forEach(folder => {
+      folder.size += file.size || 0;
+      folder.fileCount++;
+    });
+    // `type` marks the node kind, so the file's own type moves to `mimetype`
+    node.children.push({ ...file, type: 'file', mimetype: file.type || null });
+  });
+
+  // Folders first, then files, each alphabetically
+  const sort = (node) => {
+    node.children.sort((a, b) => (a.type === b.type ? a.name.localeCompare(b.name) : a.type === 'folder' ? -1 : 1));
+    node.children.forEach(child => child.type === 'folder' && sort(child));
+  };
+  sort(root);
+  return root;
+};
+
+module.exports = {
+  normalizeRelativePath,
+  splitRelativePath,
+  joinFolderPath,
+  isInFolder,
+  buildFileTree
+};
@@ -0,0 +1,90 @@
+// Binary file-chunk frames for the `/` and `/whisper` sockets.
+// Sending chunks as raw bytes skips the base64 + JSON.parse cost of the old
+// `{ type: 'broadcast_file_chunk', chunk: '<base64>' }` messages (which still work).
+//
+// Layout (big-endian, 84-byte header, then the raw chunk bytes):
+//   0   u8    version (1)
+//   1   u8    kind    1 = broadcast_file_chunk, 2 = private_file_chunk
+//   2   u8    flags   bit 0 = isLast
+//   3   u8    reserved (0)
+//   4   u32   chunkIndex
+//   8   u32   totalChunks (0 if unknown)
+//   12  36B   peer id, ASCII, zero padded.
+//             client -> server: recipient clientId for private chunks, empty for broadcast
+//             server -> client: sender clientId (the server overwrites it in place)
+//   48  36B   fileId, ASCII, zero padded
+//   84  ...   chunk bytes
+
+const FRAME_VERSION = 1;
+const FRAME_KIND_BROADCAST = 1;
+const FRAME_KIND_PRIVATE = 2;
+const FRAME_FLAG_LAST = 0x01;
+
+const PEER_OFFSET = 12;
+const FILE_ID_OFFSET = 48;
+const ID_FIELD_SIZE = 36;
+const FRAME_HEADER_SIZE = 84;
+
+const readIdField = (buffer, offset) => {
+  const end = buffer.indexOf(0, offset);
+  const stop = end === -1 || end > offset + ID_FIELD_SIZE ? offset + ID_FIELD_SIZE : end;
+  return buffer.toString('ascii', offset, stop);
+};
+
+const writeIdField = (buffer, offset, value) => {
+  buffer.fill(0, offset, offset + ID_FIELD_SIZE);
+  buffer.write(String(value || ''), offset, ID_FIELD_SIZE, 'ascii');
+};
+
+// Returns the header fields, or null if this isn't one of our frames
+const parseFrame = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < FRAME_HEADER_SIZE) return null;
+  if (buffer[0] !== FRAME_VERSION) return null;
+  const kind = buffer[1];
+  if (kind !== FRAME_KIND_BROADCAST && kind !== FRAME_KIND_PRIVATE) return null;
+
+  return {
+    kind,
+    isLast: (buffer[2] & FRAME_FLAG_LAST) !== 0,
+    chunkIndex: buffer.readUInt32BE(4),
+    totalChunks: buffer.readUInt32BE(8),
+    peerId: readIdField(buffer, PEER_OFFSET),
+    fileId: readIdField(buffer, FILE_ID_OFFSET),
+    payloadLength: buffer.length - FRAME_HEADER_SIZE
+  };
+};
+
+// Stamp the sender into the peer field without copying the payload
+const setFramePeer = (buffer, peerId) => {
+  writeIdField(buffer, PEER_OFFSET, peerId);
+  return buffer;
+};
+
+const encodeFrame = ({ kind, isLast, chunkIndex, totalChunks = 0, peerId, fileId }, payload) => {
+  const header = Buffer.alloc(FRAME_HEADER_SIZE);
+  header[0] = FRAME_VERSION;
+  header[1] = kind;
+  header[2] = isLast ? FRAME_FLAG_LAST : 0;
+  header.writeUInt32BE(chunkIndex, 4);
+  header.writeUInt32BE(totalChunks, 8);
+  writeIdField(header, PEER_OFFSET, peerId);
+  writeIdField(header, FILE_ID_OFFSET, fileId);
+  return Buffer.concat([header, payload]);
+};
+
+// Normalise what `ws` hands us (Buffer, ArrayBuffer or fragments) into one Buffer
+const toBuffer = (data) => {
+  if (Buffer.isBuffer(data)) return data;
+  if (Array.isArray(data)) return Buffer.concat(data);
+  return Buffer.from(data);
+};
+
+module.exports = {
+  FRAME_KIND_BROADCAST,
+  FRAME_KIND_PRIVATE,
+  FRAME_HEADER_SIZE,
+  parseFrame,
+  setFramePeer,
+  encodeFrame,
+  toBuffer
+};
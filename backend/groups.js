@@ -0,0 +1,61 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Ad-hoc whisper group threads inside a room. Membership is kept in the pub/sub adapter's
+// shared store, so every instance sees the same members:
+//   group:<groupId>           the members
+//   member-groups:<userId>    the groups they're in, so leaving doesn't mean a search
+// The server knows who is in a group and nothing else: names and topics travel sealed in
+// group messages. A group disappears once its last member is gone, or `ttl` after it was
+// last used if its members' instance went down without removing them.
+
+const GROUP_PREFIX = 'group:';
+const MEMBER_PREFIX = 'member-groups:';
+const MAX_GROUP_MEMBERS = 32;
+
+// shared: the pub/sub adapter's shared store
+const createGroupDirectory = (shared, { ttl }) => {
+  const groupKey = (groupId) => `${GROUP_PREFIX}${groupId}`;
+  const memberKey = (memberId) => `${MEMBER_PREFIX}${memberId}`;
+
+  // -> [{ id, name, publicKey, owner, addedBy, addedAt }]
+  const members = (groupId) => shared.list(groupKey(groupId));
+
+  const add = async (groupId, member, addedBy, owner = false) => {
+    await shared.set(groupKey(groupId), member.id, {
+      id: member.id,
+      name: member.name,
+      publicKey: member.publicKey || null,
+      owner,
+      addedBy,
+      addedAt: Date.now()
+    }, ttl);
+    await shared.set(memberKey(member.id), groupId, { groupId }, ttl);
+  };
+
+  const remove = async (groupId, memberId) => {
+    await shared.remove(groupKey(groupId), memberId);
+    await shared.remove(memberKey(memberId), groupId);
+  };
+
+  // A group in use stays, however long since anyone joined it
+  const touch = (groupId, memberIds) => Promise.all([
+    shared.expire(groupKey(groupId), ttl),
+    ...memberIds.map(id => shared.expire(memberKey(id), ttl))
+  ]);
+
+  // Creator first (and owner: the only one who can remove others), then the invited users
+  const create = async (creator, invited) => {
+    const groupId = uuidv4();
+    await add(groupId, creator, creator.id, true);
+    await Promise.all(invited.map(member => add(groupId, member, creator.id)));
+    return groupId;
+  };
+
+  const groupsOf = async (memberId) => (await shared.list(memberKey(memberId))).map(entry => entry.groupId);
+
+  const count = async () => (await shared.keys(GROUP_PREFIX)).length;
+
+  return { members, add, remove, touch, create, groupsOf, count };
+};
+
+module.exports = { MAX_GROUP_MEMBERS, createGroupDirectory };
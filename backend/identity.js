@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+
+// End-to-end encryption for whisper mode ("heksta-whisper-e2e-v1"). The server only
+// carries public keys and opaque blobs; everything below the line is done by clients.
+//
+//   Identity   Each client keeps an ECDH P-256 key pair (in IndexedDB, so it survives
+//              reloads) and sends the public key on `join` as `publicKey`: the raw
+//              uncompressed point (65 bytes, 0x04 || X || Y), base64url. It is listed
+//              with the user in `user_list`.
+//   Pair key   AES-256-GCM key = HKDF-SHA-256(ECDH(own private, peer public),
+//              salt = empty, info = "heksta-whisper-e2e-v1" || lower key || higher key),
+//              keys compared byte by byte. Both sides derive the same key.
+//   Sealed     base64url(12-byte IV || ciphertext || 16-byte tag). JSON messages seal
+//              the fields listed in server.js (content, chunk, file names and types);
+//              binary chunk frames seal their payload and keep the frame header.
+//   Uploads    /api/whisper/upload with `encrypted=true` takes a file in the
+//              heksta-e2e-v1 chunk format under a random file key; the key travels
+//              to each recipient inside a sealed `file_message`.
+//   Safety     SHA-512("heksta-whisper-e2e-v1:safety" || lower key || higher key); the
+//              first 60 bytes as 12 big-endian 5-byte numbers, each mod 100000 and
+//              zero-padded to 5 digits. Clients compute it themselves (one handed out
+//              by the server would prove nothing), read it out (or scan it) over another
+//              channel; a mismatch means a key was swapped on the way.
+
+const WHISPER_E2E_SCHEME = 'heksta-whisper-e2e-v1';
+const IDENTITY_KEY_BYTES = 65;
+const SEALED_OVERHEAD = 12 + 16;
+const BASE64URL = /^[A-Za-z0-9_-]+$/;
+
+// Normalised base64url key, or null unless it's a point on P-256
+const parseIdentityKey = (value) => {
+  if (typeof value !== 'string' || !BASE64URL.test(value)) return null;
+  const raw = Buffer.from(value, 'base64url');
+  if (raw.length !== IDENTITY_KEY_BYTES || raw[0] !== 0x04) return null;
+  try {
+    crypto.createPublicKey({
+      key: { kty: 'EC', crv: 'P-256', x: raw.subarray(1, 33).toString('base64url'), y: raw.subarray(33).toString('base64url') },
+      format: 'jwk'
+    });
+  } catch (err) {
+    return null;
+  }
+  return raw.toString('base64url');
+};
+
+// Shape check only; the server can't (and shouldn't) open it
+const isSealedBlob = (value, limit) => (
+  typeof value === 'string' &&
+  value.length <= limit &&
+  BASE64URL.test(value) &&
+  Math.floor(value.length * 3 / 4) > SEALED_OVERHEAD
+);
+
+module.exports = {
+  WHISPER_E2E_SCHEME,
+  parseIdentityKey,
+  isSealedBlob
+};
@@ -0,0 +1,63 @@
+// Abuse limits: how often a client may do something (createRateLimiter) and how
+// fast a socket may send messages (createMessageThrottle). Storage quotas are
+// worked out from the session/whisper records in server.js.
+
+// Sliding window: at most `limit` hits per key in any `windowMs`.
+// take(key) records a hit and returns 0, or returns how many ms until the next one is allowed.
+const createRateLimiter = ({ limit, windowMs }) => {
+  if (!Number.isFinite(limit)) return { take: () => 0, prune: () => {} };
+  const hits = new Map(); // { key: [timestamps] }
+
+  const recent = (key, now) => (hits.get(key) || []).filter(at => now - at < windowMs);
+
+  const take = (key) => {
+    const now = Date.now();
+    const times = recent(key, now);
+    if (times.length >= limit) {
+      hits.set(key, times);
+      return times[0] + windowMs - now;
+    }
+    times.push(now);
+    hits.set(key, times);
+    return 0;
+  };
+
+  // Drop keys with nothing in the window so the map doesn't grow forever
+  const prune = () => {
+    const now = Date.now();
+    hits.forEach((times, key) => {
+      if (recent(key, now).length === 0) hits.delete(key);
+    });
+  };
+
+  return { take, prune };
+};
+
+// Token bucket per socket: `perSecond` messages sustained, bursts up to `burst`.
+// Returns allow(socket) -> boolean. Buckets live in a WeakMap and go with their socket.
+const createMessageThrottle = ({ perSecond, burst = perSecond * 2 }) => {
+  if (!Number.isFinite(perSecond)) return () => true;
+  const buckets = new WeakMap();
+
+  return (socket) => {
+    const now = Date.now();
+    const bucket = buckets.get(socket) || { tokens: burst, updatedAt: now };
+    bucket.tokens = Math.min(burst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * perSecond);
+    bucket.updatedAt = now;
+    buckets.set(socket, bucket);
+
+    if (bucket.tokens < 1) return false;
+    bucket.tokens -= 1;
+    return true;
+  };
+};
+
+// Numeric limit from the environment; unset uses the default, 0 turns the limit off
+const readLimit = (name, fallback) => {
+  const value = process.env[name];
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : Infinity;
+};
+
+module.exports = { createRateLimiter, createMessageThrottle, readLimit };
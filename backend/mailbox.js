@@ -0,0 +1,104 @@
+// Whisper messages that outlive a dropped connection. Like groups, everything sits in the
+// pub/sub adapter's shared store, so it's there whichever instance the user reconnects through:
+//   away:<roomId>      users whose socket dropped without leaving; they can resume (by
+//                      resume token) until `ttl` runs out, and messages to them are queued
+//   mailbox:<userId>   those queued messages, handed over (and deleted) on resume
+//   history:<userId>   for users who opted in, the messages they sent and received, still
+//                      sealed, so a client that lost its local copy can fetch them again
+// Each key expires `ttl` after its last write, and entries older than that are dropped
+// as they're read, so there's nothing to sweep.
+
+const AWAY_PREFIX = 'away:';
+const MAILBOX_PREFIX = 'mailbox:';
+const HISTORY_PREFIX = 'history:';
+
+// shared: the pub/sub adapter's shared store
+// limits: { ttl, maxMessages, maxBytes } per mailbox and per history
+const createMailboxes = (shared, { ttl, maxMessages, maxBytes }) => {
+  let seq = 0; // Orders entries written in the same millisecond
+
+  const isLive = (entry, now) => entry.at + ttl > now;
+
+  const entries = async (key) => {
+    const now = Date.now();
+    const all = await shared.list(key);
+    const expired = all.filter(entry => !isLive(entry, now));
+    await Promise.all(expired.map(entry => shared.remove(key, entry.id)));
+    return all
+      .filter(entry => isLive(entry, now))
+      .sort((a, b) => a.at - b.at || a.seq - b.seq);
+  };
+
+  const write = (key, id, message, size) => shared.set(key, id, { id, message, size, at: Date.now(), seq: seq++ }, ttl);
+
+  const markAway = (user) => shared.set(`${AWAY_PREFIX}${user.roomId}`, user.id, {
+    id: user.id,
+    name: user.name,
+    publicKey: user.publicKey || null,
+    history: !!user.keepHistory,
+    at: Date.now()
+  }, ttl);
+
+  const clearAway = (roomId, userId) => shared.remove(`${AWAY_PREFIX}${roomId}`, userId);
+
+  // -> the away entry, or null if they aren't away from `roomId` (or were gone too long)
+  const getAway = async (roomId, userId) => (await entries(`${AWAY_PREFIX}${roomId}`)).find(entry => entry.id === userId) || null;
+
+  // false when their mailbox is full; the sender has to try again later
+  const queue = async (userId, id, message) => {
+    const key = `${MAILBOX_PREFIX}${userId}`;
+    const size = JSON.stringify(message).length;
+    const queued = await entries(key);
+    const queuedBytes = queued.reduce((total, entry) => total + entry.size, 0);
+    if (queued.length >= maxMessages || queuedBytes + size > maxBytes) return false;
+    await write(key, id, message, size);
+    return true;
+  };
+
+  // Queued messages, oldest first; they're gone from the mailbox once taken
+  const drain = async (userId) => {
+    const key = `${MAILBOX_PREFIX}${userId}`;
+    const queued = await entries(key);
+    await Promise.all(queued.map(entry => shared.remove(key, entry.id)));
+    return queued.map(entry => entry.message);
+  };
+
+  // History keeps the newest messages: the oldest make room, and anything bigger than
+  // the whole allowance isn't kept at all
+  const record = async (userId, id, message) => {
+    const key = `${HISTORY_PREFIX}${userId}`;
+    const size = JSON.stringify(message).length;
+    if (size > maxBytes) return;
+    const kept = await entries(key);
+    let keptBytes = kept.reduce((total, entry) => total + entry.size, 0);
+    const dropped = [];
+    while (kept.length > 0 && (kept.length + 1 > maxMessages || keptBytes + size > maxBytes)) {
+      const oldest = kept.shift();
+      keptBytes -= oldest.size;
+      dropped.push(oldest.id);
+    }
+    await Promise.all(dropped.map(oldId => shared.remove(key, oldId)));
+    await write(key, id, message, size);
+  };
+
+  // Edits and deletes reach the copies still queued or kept for `userId`:
+  // change(message) -> the new message, or null to drop it
+  const revise = async (userId, id, change) => {
+    for (const prefix of [MAILBOX_PREFIX, HISTORY_PREFIX]) {
+      const key = `${prefix}${userId}`;
+      const entry = await shared.get(key, id);
+      if (!entry) continue;
+      const message = change(entry.message);
+      if (message) await shared.set(key, id, { ...entry, message, size: JSON.stringify(message).length }, ttl);
+      else await shared.remove(key, id);
+    }
+  };
+
+  const history = async (userId, since = 0) => (await entries(`${HISTORY_PREFIX}${userId}`))
+    .filter(entry => entry.at > since)
+    .map(entry => entry.message);
+
+  return { markAway, clearAway, getAway, queue, drain, record, revise, history };
+};
+
+module.exports = { createMailboxes };
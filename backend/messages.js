@@ -0,0 +1,41 @@
+// Who wrote which whisper message, and in which conversation, so the server can check
+// replies, reactions, edits and deletes against it. Only that: content stays with the
+// clients (and sealed in mailboxes). Kept in the pub/sub adapter's shared store as
+// `message:<id>` so any instance can check it, and forgotten after `ttl` (the key expires
+// with it), after which the message can't be referenced any more.
+
+const MESSAGE_PREFIX = 'message:';
+const ENTRY = 'meta'; // Each message key holds one entry
+
+// shared: the pub/sub adapter's shared store
+const createMessageLog = (shared, { ttl }) => {
+  const messageKey = (id) => `${MESSAGE_PREFIX}${id}`;
+
+  const isLive = (entry, now = Date.now()) => entry.at + ttl > now;
+
+  // entry: { id, type, author, roomId, to, groupId }; `to` for one-to-one, `groupId` for a group thread
+  const add = (entry) => shared.set(messageKey(entry.id), ENTRY, {
+    id: entry.id,
+    type: entry.type,
+    author: entry.author,
+    roomId: entry.roomId,
+    to: entry.to || null,
+    groupId: entry.groupId || null,
+    at: Date.now(),
+    editedAt: null,
+    deleted: false
+  }, ttl);
+
+  const get = async (id) => {
+    if (typeof id !== 'string' || !id) return null;
+    const entry = await shared.get(messageKey(id), ENTRY);
+    return entry && isLive(entry) ? entry : null;
+  };
+
+  // Keeps the original expiry: editing a message doesn't make it live longer
+  const update = (entry, changes) => shared.set(messageKey(entry.id), ENTRY, { ...entry, ...changes }, Math.max(entry.at + ttl - Date.now(), 1));
+
+  return { add, get, update };
+};
+
+module.exports = { createMessageLog };
@@ -0,0 +1,274 @@
+const path = require('path');
+const { spawn } = require('child_process');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const { PNG } = require('pngjs');
+const { createLimiter } = require('./concurrency');
+
+// Previews for shared files: image thumbnails, the first page of PDFs, SVGs and
+// text/code snippets. What a file is comes from its first bytes, not the
+// client-supplied mimetype, so a renamed file can't pick its own renderer.
+//
+// PNG is decoded in-process (pngjs). Other image formats go through ImageMagick
+// and PDFs through poppler's pdftoppm; without those installed the file simply
+// has no preview. Each generate() resolves to one of:
+//   { kind: 'image' | 'pdf' | 'svg' | 'text', contentType, extension, data }
+//   { kind: null, reason }  nothing we can (or will) preview
+
+const THUMBNAIL_SIZE = 320; // Longest edge of image and PDF thumbnails
+const SNIFF_BYTES = 64 * 1024; // Read for type detection, and all a text snippet ever shows
+const SNIPPET_MAX_LINES = 200;
+const MAX_PNG_SOURCE = 64 * 1024 * 1024;
+const MAX_PNG_PIXELS = 25 * 1000 * 1000; // ~100MB of RGBA once decoded
+const MAX_EXTERNAL_SOURCE = 100 * 1024 * 1024; // Largest image/PDF handed to ImageMagick or pdftoppm
+const MAX_SVG_SIZE = 2 * 1024 * 1024;
+const MAX_OUTPUT = 10 * 1024 * 1024;
+
+// Coders we let ImageMagick use, picked from the magic bytes (never from the name)
+const IMAGE_SIGNATURES = [
+  { format: 'png', test: (b) => b.length >= 8 && b.readUInt32BE(0) === 0x89504e47 && b.readUInt32BE(4) === 0x0d0a1a0a },
+  { format: 'jpeg', test: (b) => b.length >= 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { format: 'gif', test: (b) => b.toString('ascii', 0, 6) === 'GIF87a' || b.toString('ascii', 0, 6) === 'GIF89a' },
+  { format: 'webp', test: (b) => b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP' },
+  { format: 'bmp', test: (b) => b.toString('ascii', 0, 2) === 'BM' && b.length >= 26 }
+];
+
+const TEXT_LANGUAGES = {
+  '.txt': 'plaintext', '.log': 'plaintext', '.md': 'markdown', '.csv': 'csv', '.tsv': 'csv',
+  '.json': 'json', '.xml': 'xml', '.yml': 'yaml', '.yaml': 'yaml', '.toml': 'toml', '.ini': 'ini',
+  '.html': 'html', '.htm': 'html', '.css': 'css', '.scss': 'scss',
+  '.js': 'javascript', '.mjs': 'javascript', '.cjs': 'javascript', '.jsx': 'javascript',
+  '.ts': 'typescript', '.tsx': 'typescript', '.py': 'python', '.rb': 'ruby', '.php': 'php',
+  '.go': 'go', '.rs': 'rust', '.java': 'java', '.kt': 'kotlin', '.swift': 'swift',
+  '.c': 'c', '.h': 'c', '.cpp': 'cpp', '.hpp': 'cpp', '.cs': 'csharp',
+  '.sh': 'shell', '.bash': 'shell', '.sql': 'sql'
+};
+
+const isTextMimetype = (mimetype) => (
+  /^text\//.test(mimetype) || /[/+](json|xml|javascript|x-sh|x-yaml|yaml|toml|sql)$/.test(mimetype)
+);
+
+// Cheap guess from the name and mimetype for file listings; generate() has the final say
+const guessPreviewKind = ({ originalName, mimetype }) => {
+  const type = String(mimetype || '').toLowerCase();
+  const ext = path.extname(originalName || '').toLowerCase();
+  if (type === 'image/svg+xml' || ext === '.svg') return 'svg';
+  if (/^image\/(png|jpeg|gif|webp|bmp)$/.test(type)) return 'image';
+  if (type === 'application/pdf' || ext === '.pdf') return 'pdf';
+  if (isTextMimetype(type) || TEXT_LANGUAGES[ext]) return 'text';
+  return null;
+};
+
+// UTF-8 text with no NULs; a multi-byte character cut off at the end of the sample is fine
+const decodeText = (buffer) => {
+  if (buffer.includes(0)) return null;
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer, { stream: true });
+  } catch (err) {
+    return null;
+  }
+};
+
+const isSvg = (text) => /^\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*|<!DOCTYPE[^>]*>\s*)*<svg[\s>]/i.test(text);
+
+const readAll = async (stream, limit) => {
+  const chunks = [];
+  let length = 0;
+  for await (const chunk of stream) {
+    length += chunk.length;
+    if (length > limit) {
+      stream.destroy();
+      throw new Error('Source too large');
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+// Box-filter downscale of RGBA pixels so the longest edge fits `size`
+const shrinkPng = (source, size) => {
+  const scale = Math.min(1, size / Math.max(source.width, source.height));
+  const width = Math.max(1, Math.round(source.width * scale));
+  const height = Math.max(1, Math.round(source.height * scale));
+  const target = new PNG({ width, height });
+
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.floor(y / scale);
+    const y1 = Math.max(y0 + 1, Math.min(source.height, Math.floor((y + 1) / scale)));
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.floor(x / scale);
+      const x1 = Math.max(x0 + 1, Math.min(source.width, Math.floor((x + 1) / scale)));
+      const sum = [0, 0, 0, 0];
+      for (let sy = y0; sy < y1; sy++) {
+        for (let sx = x0; sx < x1; sx++) {
+          const i = (sy * source.width + sx) * 4;
+          sum[0] += source.data[i];
+          sum[1] += source.data[i + 1];
+          sum[2] += source.data[i + 2];
+          sum[3] += source.data[i + 3];
+        }
+      }
+      const count = (y1 - y0) * (x1 - x0);
+      const o = (y * width + x) * 4;
+      for (let c = 0; c < 4; c++) target.data[o + c] = Math.round(sum[c] / count);
+    }
+  }
+  return PNG.sync.write(target);
+};
+
+// Decoding and scaling a big PNG is seconds of CPU, so it happens in a worker thread
+// (this file again, below) and the event loop keeps serving everyone else meanwhile
+const shrinkPngInWorker = (source, size, timeoutMs) => new Promise((resolve, reject) => {
+  const worker = new Worker(__filename, { workerData: { pngThumbnail: { source, size } } });
+  let settled = false;
+  const settle = (err, data) => {
+    if (settled) return;
+    settled = true;
+    clearTimeout(timer);
+    if (err) reject(err);
+    else resolve(data);
+  };
+
+  const timer = setTimeout(() => {
+    settle(new Error('PNG thumbnail timed out'));
+    worker.terminate();
+  }, timeoutMs);
+
+  worker.once('message', (data) => settle(null, Buffer.from(data)));
+  worker.once('error', (err) => settle(err));
+  worker.once('exit', (code) => settle(new Error(`PNG thumbnail worker exited with code ${code}`)));
+});
+
+// Run a converter with the source on stdin; resolves to its stdout
+const runConverter = (command, args, source, timeoutMs) => new Promise((resolve, reject) => {
+  const child = spawn(command, args, { stdio: ['pipe', 'pipe', 'ignore'] });
+  const chunks = [];
+  let length = 0;
+  let failure = null;
+
+  const timer = setTimeout(() => {
+    failure = new Error(`${command} timed out`);
+    child.kill('SIGKILL');
+  }, timeoutMs);
+
+  child.on('error', (err) => {
+    failure = failure || (err.code === 'ENOENT' ? new Error(`${command} is not installed`) : err);
+  });
+  child.stdout.on('data', (chunk) => {
+    length += chunk.length;
+    if (length > MAX_OUTPUT) {
+      failure = failure || new Error(`${command} output too large`);
+      child.kill('SIGKILL');
+      return;
+    }
+    chunks.push(chunk);
+  });
+  child.on('close', (code) => {
+    clearTimeout(timer);
+    if (!failure && code !== 0) failure = new Error(`${command} exited with code ${code}`);
+    if (failure) return reject(failure);
+    resolve(Buffer.concat(chunks));
+  });
+
+  // The converter may stop reading early (or never start); that's not our error
+  child.stdin.on('error', () => {});
+  source.on('error', (err) => {
+    failure = failure || err;
+    child.kill('SIGKILL');
+  });
+  source.pipe(child.stdin);
+});
+
+const createPreviewer = ({
+  storage,
+  imageMagick = 'convert',
+  pdftoppm = 'pdftoppm',
+  concurrency = 2,
+  timeoutMs = 20000
+}) => {
+  const limit = createLimiter(concurrency);
+
+  const thumbnail = (data) => ({ contentType: 'image/png', extension: 'png', data });
+
+  const imageThumbnail = async (file, format) => {
+    if (format === 'png' && file.size <= MAX_PNG_SOURCE) {
+      const head = await readAll(await storage.getStream(file.key, { start: 0, end: Math.min(file.size, 24) - 1 }), 24);
+      // IHDR width/height, checked before decoding so a tiny file can't claim gigapixels
+      if (head.length === 24 && head.readUInt32BE(16) * head.readUInt32BE(20) <= MAX_PNG_PIXELS) {
+        const source = await readAll(await storage.getStream(file.key), MAX_PNG_SOURCE);
+        return { kind: 'image', ...thumbnail(await shrinkPngInWorker(source, THUMBNAIL_SIZE, timeoutMs)) };
+      }
+    }
+
+    if (file.size > MAX_EXTERNAL_SOURCE) return { kind: null, reason: 'too_large' };
+    const args = [
+      '-limit', 'memory', '256MiB', '-limit', 'map', '512MiB', '-limit', 'time', String(Math.ceil(timeoutMs / 1000)),
+      `${format}:-[0]`, '-auto-orient', '-thumbnail', `${THUMBNAIL_SIZE}x${THUMBNAIL_SIZE}>`, '-strip', 'png:-'
+    ];
+    const data = await runConverter(imageMagick, args, await storage.getStream(file.key), timeoutMs);
+    return { kind: 'image', ...thumbnail(data) };
+  };
+
+  const pdfThumbnail = async (file) => {
+    if (file.size > MAX_EXTERNAL_SOURCE) return { kind: null, reason: 'too_large' };
+    const args = ['-png', '-f', '1', '-l', '1', '-singlefile', '-scale-to', String(THUMBNAIL_SIZE), '-'];
+    const data = await runConverter(pdftoppm, args, await storage.getStream(file.key), timeoutMs);
+    return { kind: 'pdf', ...thumbnail(data) };
+  };
+
+  const textSnippet = (file, text) => {
+    const ext = path.extname(file.originalName || '').toLowerCase();
+    const lines = text.split(/\r?\n/);
+    const shown = lines.slice(0, SNIPPET_MAX_LINES);
+    const snippet = shown.join('\n');
+    const truncated = lines.length > SNIPPET_MAX_LINES || file.size > SNIFF_BYTES;
+    const body = { kind: 'text', language: TEXT_LANGUAGES[ext] || 'plaintext', snippet, truncated };
+    return {
+      kind: 'text',
+      contentType: 'application/json; charset=utf-8',
+      extension: 'json',
+      data: Buffer.from(JSON.stringify(body))
+    };
+  };
+
+  const build = async (file) => {
+    if (!file.size) return { kind: null, reason: 'empty' };
+
+    const sample = await readAll(
+      await storage.getStream(file.key, { start: 0, end: Math.min(file.size, SNIFF_BYTES) - 1 }),
+      SNIFF_BYTES
+    );
+
+    const image = IMAGE_SIGNATURES.find(signature => signature.test(sample));
+    if (image) return imageThumbnail(file, image.format);
+    if (sample.toString('ascii', 0, 5) === '%PDF-') return pdfThumbnail(file);
+
+    const text = decodeText(sample);
+    if (text === null) return { kind: null, reason: 'unsupported' };
+
+    if (isSvg(text)) {
+      if (file.size > MAX_SVG_SIZE) return { kind: null, reason: 'too_large' };
+      const data = file.size <= SNIFF_BYTES ? sample : await readAll(await storage.getStream(file.key), MAX_SVG_SIZE);
+      return { kind: 'svg', contentType: 'image/svg+xml', extension: 'svg', data };
+    }
+
+    // Only things that claim to be text; a NUL-free binary isn't worth a snippet
+    return guessPreviewKind(file) === 'text' ? textSnippet(file, text) : { kind: null, reason: 'unsupported' };
+  };
+
+  // file: { key, size, originalName, mimetype }
+  const generate = (file) => limit(() => build(file));
+
+  return { generate };
+};
+
+module.exports = {
+  THUMBNAIL_SIZE,
+  guessPreviewKind,
+  createPreviewer
+};
+
+// Worker side of shrinkPngInWorker
+if (!isMainThread && workerData && workerData.pngThumbnail) {
+  const { source, size } = workerData.pngThumbnail;
+  parentPort.postMessage(shrinkPng(PNG.sync.read(Buffer.from(source)), size));
+}
@@ -0,0 +1,241 @@
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+
+// Cross-instance fan-out for WebSocket events, shared whisper presence, and shared
+// state that has to outlive the instance that wrote it.
+// An adapter implements:
+//   publish(channel, message)          message is JSON-serialisable
+//   subscribe(channel, handler)        handler(message) for messages from OTHER instances
+//   presence.set(roomId, userId, data)
+//   presence.remove(roomId, userId)
+//   presence.list(roomId)              -> Promise<[data]>
+//   presence.rooms()                   -> Promise<[roomId]> rooms with anyone in them
+//   shared.set(key, field, data, ttlMs) the key expires ttlMs after its last write or expire()
+//   shared.remove(key, field)
+//   shared.get(key, field)             -> Promise<data | null>
+//   shared.list(key)                   -> Promise<[data]>
+//   shared.expire(key, ttlMs)
+//   shared.keys(prefix)                -> Promise<[key]>
+//   close()
+// Each instance still delivers to its own sockets directly; the adapter only
+// carries events to the rest of the fleet.
+
+const PRESENCE_HEARTBEAT_MS = 10 * 1000;
+const PRESENCE_INSTANCE_TTL_S = 30; // Presence of an instance that stops heartbeating disappears
+const SHARED_SWEEP_MS = 60 * 1000;
+
+// Single process: nothing to fan out to, presence is a local map
+const createMemoryAdapter = () => {
+  const instanceId = uuidv4();
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+  const rooms = new Map(); // { roomId: Map<userId, data> }
+  const shared = new Map(); // { key: { fields: Map<field, data>, expiresAt } }
+
+  const sharedKey = (key) => {
+    const entry = shared.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      shared.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  // Keys nobody reads again would otherwise sit here forever
+  const sweepTimer = setInterval(() => {
+    const now = Date.now();
+    shared.forEach((entry, key) => { if (entry.expiresAt <= now) shared.delete(key); });
+  }, SHARED_SWEEP_MS);
+  sweepTimer.unref();
+
+  return {
+    name: 'memory',
+    instanceId,
+    publish: async (channel, message) => {
+      emitter.emit(channel, { origin: instanceId, message });
+    },
+    subscribe: (channel, handler) => {
+      emitter.on(channel, (envelope) => {
+        if (envelope.origin !== instanceId) handler(envelope.message);
+      });
+    },
+    presence: {
+      set: async (roomId, userId, data) => {
+        if (!rooms.has(roomId)) rooms.set(roomId, new Map());
+        rooms.get(roomId).set(userId, data);
+      },
+      remove: async (roomId, userId) => {
+        const room = rooms.get(roomId);
+        if (!room) return;
+        room.delete(userId);
+        if (room.size === 0) rooms.delete(roomId);
+      },
+      list: async (roomId) => Array.from((rooms.get(roomId) || new Map()).values()),
+      rooms: async () => Array.from(rooms.keys())
+    },
+    shared: {
+      set: async (key, field, data, ttlMs) => {
+        const entry = sharedKey(key) || { fields: new Map() };
+        entry.fields.set(field, data);
+        entry.expiresAt = Date.now() + ttlMs;
+        shared.set(key, entry);
+      },
+      remove: async (key, field) => {
+        const entry = sharedKey(key);
+        if (!entry) return;
+        entry.fields.delete(field);
+        if (entry.fields.size === 0) shared.delete(key);
+      },
+      get: async (key, field) => {
+        const entry = sharedKey(key);
+        return entry && entry.fields.has(field) ? entry.fields.get(field) : null;
+      },
+      list: async (key) => {
+        const entry = sharedKey(key);
+        return entry ? Array.from(entry.fields.values()) : [];
+      },
+      expire: async (key, ttlMs) => {
+        const entry = sharedKey(key);
+        if (entry) entry.expiresAt = Date.now() + ttlMs;
+      },
+      keys: async (prefix) => Array.from(shared.keys()).filter(key => key.startsWith(prefix) && sharedKey(key))
+    },
+    close: async () => {
+      clearInterval(sweepTimer);
+    }
+  };
+};
+
+// Redis (or anything speaking its protocol: Valkey, KeyDB, Upstash...)
+const createRedisAdapter = ({ url, keyPrefix = 'heksta:' }) => {
+  const Redis = require('ioredis');
+  const instanceId = uuidv4();
+  const publisher = new Redis(url);
+  const subscriber = new Redis(url);
+  const handlers = new Map(); // { channel: [handler] }
+
+  const channelKey = (channel) => `${keyPrefix}${channel}`;
+  const roomKey = (roomId) => `${keyPrefix}presence:${roomId}`;
+  const instanceKey = (id) => `${keyPrefix}instance:${id}`;
+  const sharedKey = (key) => `${keyPrefix}shared:${key}`;
+
+  // SCAN rather than KEYS so a big keyspace doesn't stall Redis
+  const scanKeys = async (prefix) => {
+    const found = new Set();
+    let cursor = '0';
+    do {
+      const [next, keys] = await publisher.scan(cursor, 'MATCH', `${prefix}*`, 'COUNT', 200);
+      keys.forEach(key => found.add(key));
+      cursor = next;
+    } while (cursor !== '0');
+    return Array.from(found);
+  };
+
+  [publisher, subscriber].forEach(conn => {
+    conn.on('error', (err) => console.error('Redis pub/sub error:', err.message));
+  });
+
+  subscriber.on('message', (channel, raw) => {
+    let envelope;
+    try {
+      envelope = JSON.parse(raw);
+    } catch (err) {
+      return;
+    }
+    if (envelope.origin === instanceId) return;
+    (handlers.get(channel) || []).forEach(handler => handler(envelope.message));
+  });
+
+  // Presence entries are tagged with the instance that owns the socket; if that
+  // instance dies its heartbeat key expires and its users drop out of list()
+  const heartbeat = () => publisher.set(instanceKey(instanceId), '1', 'EX', PRESENCE_INSTANCE_TTL_S)
+    .catch(err => console.error('Redis heartbeat failed:', err.message));
+  heartbeat();
+  const heartbeatTimer = setInterval(heartbeat, PRESENCE_HEARTBEAT_MS);
+  heartbeatTimer.unref();
+
+  return {
+    name: 'redis',
+    instanceId,
+    publish: async (channel, message) => {
+      await publisher.publish(channelKey(channel), JSON.stringify({ origin: instanceId, message }));
+    },
+    subscribe: (channel, handler) => {
+      const key = channelKey(channel);
+      if (!handlers.has(key)) {
+        handlers.set(key, []);
+        subscriber.subscribe(key).catch(err => console.error(`Redis subscribe to ${key} failed:`, err.message));
+      }
+      handlers.get(key).push(handler);
+    },
+    presence: {
+      set: async (roomId, userId, data) => {
+        await publisher.hset(roomKey(roomId), userId, JSON.stringify({ instanceId, data }));
+      },
+      remove: async (roomId, userId) => {
+        await publisher.hdel(roomKey(roomId), userId);
+      },
+      list: async (roomId) => {
+        const entries = await publisher.hgetall(roomKey(roomId));
+        const parsed = Object.entries(entries).map(([userId, raw]) => ({ userId, ...JSON.parse(raw) }));
+        const instances = [...new Set(parsed.map(entry => entry.instanceId))];
+        const alive = instances.length > 0 ? await publisher.mget(instances.map(instanceKey)) : [];
+        const liveInstances = new Set(instances.filter((id, i) => alive[i]));
+
+        // Clean up after instances that went away without saying goodbye
+        const stale = parsed.filter(entry => !liveInstances.has(entry.instanceId)).map(entry => entry.userId);
+        if (stale.length > 0) await publisher.hdel(roomKey(roomId), ...stale);
+
+        return parsed.filter(entry => liveInstances.has(entry.instanceId)).map(entry => entry.data);
+      },
+      // Rooms empty out via hdel
+      rooms: async () => {
+        const prefix = roomKey('');
+        return (await scanKeys(prefix)).map(key => key.slice(prefix.length));
+      }
+    },
+    // Not tagged with an instance: it stays when its writer goes, until the key's TTL runs out
+    shared: {
+      set: async (key, field, data, ttlMs) => {
+        await publisher.multi()
+          .hset(sharedKey(key), field, JSON.stringify(data))
+          .pexpire(sharedKey(key), ttlMs)
+          .exec();
+      },
+      remove: async (key, field) => {
+        await publisher.hdel(sharedKey(key), field);
+      },
+      get: async (key, field) => {
+        const raw = await publisher.hget(sharedKey(key), field);
+        return raw === null ? null : JSON.parse(raw);
+      },
+      list: async (key) => (await publisher.hvals(sharedKey(key))).map(raw => JSON.parse(raw)),
+      expire: async (key, ttlMs) => {
+        await publisher.pexpire(sharedKey(key), ttlMs);
+      },
+      keys: async (prefix) => {
+        const base = sharedKey('');
+        return (await scanKeys(sharedKey(prefix))).map(key => key.slice(base.length));
+      }
+    },
+    close: async () => {
+      clearInterval(heartbeatTimer);
+      await publisher.del(instanceKey(instanceId)).catch(() => {});
+      publisher.disconnect();
+      subscriber.disconnect();
+    }
+  };
+};
+
+// PUBSUB_DRIVER=memory|redis (redis uses REDIS_URL)
+const createPubSub = ({ type, url }) => {
+  if (!type || type === 'memory') {
+    return createMemoryAdapter();
+  }
+  if (type === 'redis') {
+    return createRedisAdapter({ url });
+  }
+  throw new Error(`Unknown pub/sub driver: ${type}`);
+};
+
+module.exports = { createPubSub, createMemoryAdapter, createRedisAdapter };
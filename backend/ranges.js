@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+
+// Range requests, conditional requests and Content-Disposition for file
+// downloads, following RFC 9110 (sections 8.8, 13 and 14) and RFC 6266/5987.
+
+const MAX_RANGES = 50; // Requests asking for more pieces than this get the whole file instead
+
+// Parse a Range header for a file of `size` bytes. Returns:
+//   null   serve the whole file (no header, a unit other than bytes, or bad syntax)
+//   []     nothing satisfiable: 416
+//   [{ start, end }]  sorted, with overlapping/adjacent ranges merged (end inclusive)
+const parseRange = (header, size) => {
+  if (typeof header !== 'string') return null;
+  const match = /^\s*bytes\s*=(.*)$/i.exec(header);
+  if (!match) return null;
+
+  const specs = match[1].split(',').map(spec => spec.trim()).filter(Boolean);
+  if (specs.length === 0 || specs.length > MAX_RANGES) return null;
+
+  const ranges = [];
+  for (const spec of specs) {
+    const parts = /^(\d*)-(\d*)$/.exec(spec);
+    if (!parts || (parts[1] === '' && parts[2] === '')) return null;
+
+    if (parts[1] === '') {
+      // Suffix range: the last N bytes
+      const length = Number(parts[2]);
+      if (!Number.isSafeInteger(length)) return null;
+      if (length > 0 && size > 0) ranges.push({ start: Math.max(0, size - length), end: size - 1 });
+      continue;
+    }
+
+    // An open-ended range runs to the end of the file
+    const start = Number(parts[1]);
+    const end = parts[2] === '' ? Infinity : Number(parts[2]);
+    if (!Number.isSafeInteger(start) || (end !== Infinity && (!Number.isSafeInteger(end) || end < start))) return null;
+    if (start < size) ranges.push({ start, end: Math.min(end, size - 1) });
+  }
+
+  ranges.sort((a, b) => a.start - b.start);
+  const merged = [];
+  ranges.forEach(range => {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end + 1) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
+  });
+  return merged;
+};
+
+// Strong validator: changes whenever the stored bytes could have
+const makeEtag = (id, size, mtimeMs) => `"${id}-${size.toString(36)}-${Math.floor(mtimeMs || 0).toString(36)}"`;
+
+// HTTP dates have one-second resolution
+const toHttpTime = (mtimeMs) => Math.floor((mtimeMs || 0) / 1000) * 1000;
+
+const etagListMatches = (header, etag, strong) => {
+  if (header.trim() === '*') return true;
+  const opaque = (tag) => tag.replace(/^W\//, '');
+  return header.split(',').map(tag => tag.trim()).some(tag => {
+    if (strong) return !tag.startsWith('W/') && tag === etag;
+    return opaque(tag) === opaque(etag);
+  });
+};
+
+// Preconditions in the order RFC 9110 13.2.2 evaluates them.
+// Returns 412 or 304 to answer with, or null to carry on.
+const checkPreconditions = (req, { etag, lastModified }) => {
+  const safe = req.method === 'GET' || req.method === 'HEAD';
+
+  const ifMatch = req.headers['if-match'];
+  if (ifMatch) {
+    if (!etagListMatches(ifMatch, etag, true)) return 412;
+  } else if (req.headers['if-unmodified-since']) {
+    const since = Date.parse(req.headers['if-unmodified-since']);
+    if (!Number.isNaN(since) && lastModified > since) return 412;
+  }
+
+  const ifNoneMatch = req.headers['if-none-match'];
+  if (ifNoneMatch) {
+    if (etagListMatches(ifNoneMatch, etag, false)) return safe ? 304 : 412;
+  } else if (safe && req.headers['if-modified-since']) {
+    const since = Date.parse(req.headers['if-modified-since']);
+    if (!Number.isNaN(since) && lastModified <= since) return 304;
+  }
+
+  return null;
+};
+
+// If-Range: only honour Range when the client's partial copy is still this file.
+// ETags compare strongly; a date must equal Last-Modified exactly.
+const ifRangeMatches = (req, { etag, lastModified }) => {
+  const value = (req.headers['if-range'] || '').trim();
+  if (!value) return true;
+  if (value.startsWith('"') || value.startsWith('W/')) return value === etag;
+  const date = Date.parse(value);
+  return !Number.isNaN(date) && date === lastModified;
+};
+
+// `attachment; filename="plain ascii"; filename*=UTF-8''percent-encoded`
+const contentDisposition = (filename, type = 'attachment') => {
+  const name = String(filename || 'download');
+  const fallback = name.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  // encodeURIComponent leaves a few characters RFC 5987 attr-chars don't allow
+  const encoded = encodeURIComponent(name).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+// Body layout of a multipart/byteranges response. `parts` alternates Buffers
+// (part headers, closing delimiter) with { start, end } file ranges.
+const buildMultipartBody = (ranges, size, contentType) => {
+  const boundary = crypto.randomBytes(16).toString('hex');
+  const parts = [];
+  let length = 0;
+
+  ranges.forEach((range, i) => {
+    const head = Buffer.from(
+      `${i === 0 ? '' : '\r\n'}--${boundary}\r\n` +
+      `Content-Type: ${contentType}\r\n` +
+      `Content-Range: bytes ${range.start}-${range.end}/${size}\r\n\r\n`
+    );
+    parts.push(head, range);
+    length += head.length + (range.end - range.start + 1);
+  });
+
+  const tail = Buffer.from(`\r\n--${boundary}--\r\n`);
+  parts.push(tail);
+  length += tail.length;
+
+  return { contentType: `multipart/byteranges; boundary=${boundary}`, parts, length };
+};
+
+// How far into each file every client has got, counting only bytes they hold from the
+// start with no gaps. A download is complete once that reaches the end: in one response
+// or by resuming where an earlier one stopped. Ranges that skip ahead (a suffix range for
+// a ZIP's end record, say) never complete anything.
+const createDeliveryTracker = ({ ttl }) => {
+  const progress = new Map(); // { key: { received, at } }
+
+  // A response gave `key` `bytes` bytes from `start` -> true once they have all `size`
+  const record = (key, start, bytes, size) => {
+    const entry = progress.get(key) || { received: 0 };
+    if (start <= entry.received) entry.received = Math.max(entry.received, start + bytes);
+    if (entry.received >= size) {
+      progress.delete(key);
+      return true;
+    }
+    entry.at = Date.now();
+    progress.set(key, entry);
+    return false;
+  };
+
+  const prune = () => {
+    const now = Date.now();
+    progress.forEach((entry, key) => {
+      if (now - entry.at > ttl) progress.delete(key);
+    });
+  };
+
+  return { record, prune };
+};
+
+module.exports = {
+  MAX_RANGES,
+  parseRange,
+  makeEtag,
+  toHttpTime,
+  checkPreconditions,
+  ifRangeMatches,
+  contentDisposition,
+  buildMultipartBody,
+  createDeliveryTracker
+};
@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const { hashPassword, verifyPassword, generateSecretToken, hashSecretToken, secretTokenMatches } = require('./auth');
+
+// Whisper rooms: created over HTTP with an owner token (like sessions), joined over the
+// socket with a password, a one-time invite or the owner token. Room ids are random
+// and rooms are unlisted unless created `public`, so knowing the id is part of getting in.
+// These helpers only work on the record; server.js keeps it in the store.
+
+const ROOM_NAME_MAX = 60;
+const INVITE_TTL = 24 * 60 * 60 * 1000;
+const MAX_INVITES = 100; // Outstanding per room
+const MAX_BANS = 500;
+const MAX_REMOVALS = 500;
+
+const generateRoomId = () => crypto.randomBytes(9).toString('base64url');
+
+// -> { room, ownerToken }; the owner token is shown once and only its hash is kept
+const createRoomRecord = ({ name, password, inviteOnly, public: listed }) => {
+  const ownerToken = generateSecretToken();
+  const now = Date.now();
+  const room = {
+    id: generateRoomId(),
+    name: String(name || 'Whisper room').trim().slice(0, ROOM_NAME_MAX) || 'Whisper room',
+    ownerTokenHash: hashSecretToken(ownerToken),
+    passwordHash: password ? hashPassword(password) : null,
+    inviteOnly: !!inviteOnly,
+    public: !!listed,
+    invites: {}, // { tokenHash: expiresAt }
+    bans: [], // [{ publicKey, clientKey, at }]
+    removals: {}, // { userId: at } kicked or banned, which voids resume tokens issued before
+    createdAt: now,
+    lastJoinAt: now
+  };
+  return { room, ownerToken };
+};
+
+const isRoomOwner = (room, ownerToken) => !!room.ownerTokenHash && secretTokenMatches(ownerToken, room.ownerTokenHash);
+
+const pruneInvites = (room, now = Date.now()) => {
+  Object.entries(room.invites).forEach(([hash, expiresAt]) => {
+    if (expiresAt <= now) delete room.invites[hash];
+  });
+};
+
+// -> { invite, expiresAt }, or null when the room already has MAX_INVITES open
+const createInvite = (room) => {
+  pruneInvites(room);
+  if (Object.keys(room.invites).length >= MAX_INVITES) return null;
+  const invite = generateSecretToken();
+  const expiresAt = Date.now() + INVITE_TTL;
+  room.invites[hashSecretToken(invite)] = expiresAt;
+  return { invite, expiresAt };
+};
+
+// One use: a matching invite is deleted as it's accepted
+const takeInvite = (room, invite) => {
+  if (typeof invite !== 'string' || !invite) return false;
+  pruneInvites(room);
+  const hash = hashSecretToken(invite);
+  if (!room.invites[hash]) return false;
+  delete room.invites[hash];
+  return true;
+};
+
+// Identity key and (hashed) address; either one matching keeps them out
+const isBanned = (room, { publicKey, clientKey }) => room.bans.some(ban => (
+  (publicKey && ban.publicKey === publicKey) || (clientKey && ban.clientKey === clientKey)
+));
+
+const addBan = (room, { publicKey, clientKey }) => {
+  room.bans.push({ publicKey: publicKey || null, clientKey: clientKey || null, at: Date.now() });
+  if (room.bans.length > MAX_BANS) room.bans.splice(0, room.bans.length - MAX_BANS);
+};
+
+// Kicking or banning someone voids the resume tokens they hold, so they can't walk straight
+// back in with one (a kicked user may still rejoin the normal way, as a new user)
+const revokeResumes = (room, userId) => {
+  room.removals = room.removals || {};
+  room.removals[userId] = Date.now();
+  const ids = Object.keys(room.removals);
+  if (ids.length > MAX_REMOVALS) {
+    ids.sort((a, b) => room.removals[a] - room.removals[b])
+      .slice(0, ids.length - MAX_REMOVALS)
+      .forEach(id => delete room.removals[id]);
+  }
+};
+
+const isResumeRevoked = (room, { userId, issuedAt }) => !!room.removals && room.removals[userId] >= issuedAt;
+
+// attempt: { ownerToken, password, invite, resumed, publicKey, clientKey }; `resumed` is
+// { userId, issuedAt } from a resume token: someone who got in before and isn't banned
+// comes back without a password or invite, unless they were removed since the token was issued
+// -> { owner: boolean, resumed? } when they get in, otherwise { error } with one of
+//    banned | invalid_invite | invite_required | password_required | invalid_password
+// A successful invite is used up, so save the room afterwards.
+const admit = (room, attempt) => {
+  if (isRoomOwner(room, attempt.ownerToken)) return { owner: true };
+  if (isBanned(room, attempt)) return { error: 'banned' };
+  if (attempt.resumed && !isResumeRevoked(room, attempt.resumed)) return { owner: false, resumed: true };
+  if (attempt.invite) {
+    return takeInvite(room, attempt.invite) ? { owner: false } : { error: 'invalid_invite' };
+  }
+  if (room.inviteOnly) return { error: 'invite_required' };
+  if (room.passwordHash && !verifyPassword(attempt.password, room.passwordHash)) {
+    return { error: attempt.password ? 'invalid_password' : 'password_required' };
+  }
+  return { owner: false };
+};
+
+module.exports = {
+  ROOM_NAME_MAX,
+  INVITE_TTL,
+  createRoomRecord,
+  isRoomOwner,
+  createInvite,
+  addBan,
+  revokeResumes,
+  admit
+};
@@ -0,0 +1,295 @@
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { createLimiter } = require('./concurrency');
+
+// Checks every upload goes through before it can be downloaded (see quarantine in
+// server.js): sniff what the bytes really are, apply the allow/deny policy, then
+// hand the file to the scanner. The sniffed type replaces the client's mimetype,
+// so nothing is served back as text/html just because the uploader said so.
+//
+// A scanner implements:
+//   name
+//   maxSize                 largest file it can scan; bigger ones are rejected unless the
+//                           inspector was told to let them through unscanned
+//   scan(stream)            -> Promise<{ clean: true } | { clean: false, signature }>, throws if it couldn't scan
+
+const SNIFF_BYTES = 4096;
+const CLAMAV_DEFAULT_MAX_SIZE = 25 * 1024 * 1024; // clamd's default StreamMaxLength
+const CLAMAV_CHUNK_SIZE = 64 * 1024;
+
+const ascii = (buffer, start, end) => buffer.toString('latin1', start, end);
+const startsWithBytes = (buffer, bytes, offset = 0) => bytes.every((byte, i) => buffer[offset + i] === byte);
+
+// Magic numbers, most specific first
+const SIGNATURES = [
+  ['image/png', (b) => startsWithBytes(b, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])],
+  ['image/jpeg', (b) => startsWithBytes(b, [0xff, 0xd8, 0xff])],
+  ['image/gif', (b) => ascii(b, 0, 6) === 'GIF87a' || ascii(b, 0, 6) === 'GIF89a'],
+  ['image/webp', (b) => ascii(b, 0, 4) === 'RIFF' && ascii(b, 8, 12) === 'WEBP'],
+  ['audio/wav', (b) => ascii(b, 0, 4) === 'RIFF' && ascii(b, 8, 12) === 'WAVE'],
+  ['image/tiff', (b) => ascii(b, 0, 4) === 'II*\0' || ascii(b, 0, 4) === 'MM\0*'],
+  ['image/bmp', (b) => ascii(b, 0, 2) === 'BM' && b.length >= 18 && [12, 40, 56, 108, 124].includes(b.readUInt32LE(14))],
+  ['image/x-icon', (b) => startsWithBytes(b, [0x00, 0x00, 0x01, 0x00])],
+  ['application/pdf', (b) => ascii(b, 0, 5) === '%PDF-'],
+  ['application/zip', (b) => ascii(b, 0, 4) === 'PK\x03\x04' || ascii(b, 0, 4) === 'PK\x05\x06'],
+  ['application/gzip', (b) => startsWithBytes(b, [0x1f, 0x8b])],
+  ['application/x-bzip2', (b) => ascii(b, 0, 3) === 'BZh'],
+  ['application/x-xz', (b) => startsWithBytes(b, [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00])],
+  ['application/x-7z-compressed', (b) => startsWithBytes(b, [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c])],
+  ['application/vnd.rar', (b) => ascii(b, 0, 6) === 'Rar!\x1a\x07'],
+  ['application/x-tar', (b) => ascii(b, 257, 262) === 'ustar'],
+  ['application/x-ole-storage', (b) => startsWithBytes(b, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])],
+  ['application/x-sqlite3', (b) => ascii(b, 0, 16) === 'SQLite format 3\0'],
+  ['application/wasm', (b) => startsWithBytes(b, [0x00, 0x61, 0x73, 0x6d])],
+  ['application/x-msdownload', (b) => ascii(b, 0, 2) === 'MZ'],
+  ['application/x-executable', (b) => startsWithBytes(b, [0x7f, 0x45, 0x4c, 0x46])],
+  ['application/x-mach-binary', (b) => [0xfeedface, 0xfeedfacf, 0xcefaedfe, 0xcffaedfe, 0xcafebabe].includes(b.length >= 4 ? b.readUInt32BE(0) : 0)],
+  ['audio/flac', (b) => ascii(b, 0, 4) === 'fLaC'],
+  ['audio/ogg', (b) => ascii(b, 0, 4) === 'OggS'],
+  ['audio/mpeg', (b) => ascii(b, 0, 3) === 'ID3' || (b[0] === 0xff && (b[1] & 0xe0) === 0xe0 && (b[1] & 0x06) !== 0)],
+  ['video/webm', (b) => startsWithBytes(b, [0x1a, 0x45, 0xdf, 0xa3]) && ascii(b, 0, 64).includes('webm')],
+  ['video/x-matroska', (b) => startsWithBytes(b, [0x1a, 0x45, 0xdf, 0xa3])],
+  ['video/quicktime', (b) => ascii(b, 4, 8) === 'ftyp' && ascii(b, 8, 12) === 'qt  '],
+  ['audio/mp4', (b) => ascii(b, 4, 8) === 'ftyp' && ['M4A ', 'M4B '].includes(ascii(b, 8, 12))],
+  ['image/heic', (b) => ascii(b, 4, 8) === 'ftyp' && ['heic', 'heix', 'mif1', 'msf1'].includes(ascii(b, 8, 12))],
+  ['image/avif', (b) => ascii(b, 4, 8) === 'ftyp' && ascii(b, 8, 12) === 'avif'],
+  ['video/mp4', (b) => ascii(b, 4, 8) === 'ftyp']
+];
+
+// Formats built on a generic container: the client's more specific type is kept
+const CONTAINER_TYPES = {
+  'application/zip': /^application\/(vnd\.openxmlformats-officedocument\.|vnd\.oasis\.opendocument\.|epub\+zip$|java-archive$|vnd\.android\.package-archive$|x-zip-compressed$)/,
+  'application/x-ole-storage': /^application\/(msword|vnd\.ms-excel|vnd\.ms-powerpoint|vnd\.ms-outlook|x-msi)$/
+};
+
+// Types a browser would run or render as a document if we served them inline
+const ACTIVE_TYPES = /^(text\/html|application\/xhtml\+xml|image\/svg\+xml|text\/xml|application\/xml|text\/xsl|text\/javascript|application\/(x-)?javascript|application\/ecmascript|text\/ecmascript)$/;
+
+const isTextual = (type) => /^text\//.test(type) || /[/+](json|xml|javascript|x-sh|x-yaml|yaml|toml|sql|csv)$/.test(type);
+
+// UTF-8 with no NULs (a character cut off at the end of the sample is fine)
+const looksLikeText = (sample) => {
+  if (sample.includes(0)) return false;
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+// What the first bytes say the file is, or null for unrecognised binary data
+const sniffContentType = (sample) => {
+  const match = SIGNATURES.find(([, test]) => test(sample));
+  if (match) return match[0];
+  if (!looksLikeText(sample)) return null;
+
+  const head = sample.toString('utf8').replace(/^\uFEFF/, '').trimStart().slice(0, 1024).toLowerCase();
+  if (/^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*|<!doctype svg[^>]*>\s*)*<svg[\s>]/.test(head)) return 'image/svg+xml';
+  if (/^(<!--[\s\S]*?-->\s*)*(<!doctype html|<html|<head|<body|<script|<iframe|<meta|<style)/.test(head)) return 'text/html';
+  if (head.startsWith('<?xml')) return 'application/xml';
+  return 'text/plain';
+};
+
+// The mimetype we'll store and serve: the sniffed type, unless the client's claim
+// is a harmless refinement of it (a .docx is "a zip", a .csv is "text")
+const resolveContentType = (claimed, sample) => {
+  const type = String(claimed || '').toLowerCase().split(';')[0].trim();
+  const sniffed = sniffContentType(sample);
+
+  if (sniffed && CONTAINER_TYPES[sniffed] && CONTAINER_TYPES[sniffed].test(type)) return type;
+  if (sniffed === 'text/plain') return isTextual(type) && !ACTIVE_TYPES.test(type) ? type : 'text/plain';
+  if (sniffed) return sniffed;
+  // Unrecognised binary: trust the claim only if it's neither text nor active content
+  return type && !isTextual(type) && !ACTIVE_TYPES.test(type) ? type : 'application/octet-stream';
+};
+
+// "image/*, application/pdf" -> ['image/*', 'application/pdf']; ".EXE, bat" -> ['.exe', '.bat']
+const parseTypeList = (value) => String(value || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+const parseExtensionList = (value) => parseTypeList(value).map(ext => (ext.startsWith('.') ? ext : `.${ext}`));
+
+const typeMatches = (patterns, type) => patterns.some(pattern => (
+  pattern.endsWith('/*') ? type.startsWith(pattern.slice(0, -1)) : pattern === type
+));
+const extensionMatches = (extensions, name) => extensions.some(ext => name.endsWith(ext));
+
+// Returns why a file is refused, or null. Deny lists check both the sniffed and the
+// claimed type; allow lists only let through what the bytes actually are.
+const checkPolicy = (policy, { name, mimetype, claimedType }) => {
+  const lowerName = String(name || '').toLowerCase();
+  const claimed = String(claimedType || '').toLowerCase();
+
+  if (extensionMatches(policy.denyExtensions, lowerName)) return 'extension_not_allowed';
+  if (policy.allowExtensions.length > 0 && !extensionMatches(policy.allowExtensions, lowerName)) return 'extension_not_allowed';
+  if (typeMatches(policy.denyTypes, mimetype) || (claimed && typeMatches(policy.denyTypes, claimed))) return 'type_not_allowed';
+  if (policy.allowTypes.length > 0 && !typeMatches(policy.allowTypes, mimetype)) return 'type_not_allowed';
+  return null;
+};
+
+// No scanning, only the type and policy checks
+const createNoopScanner = () => ({
+  name: 'none',
+  maxSize: Infinity,
+  scan: async () => ({ clean: true })
+});
+
+// Flags the EICAR test file and nothing else: lets tests and staging exercise the
+// rejection path without a real antivirus
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+const createStubScanner = () => ({
+  name: 'stub',
+  maxSize: Infinity,
+  scan: async (stream) => {
+    let tail = '';
+    for await (const chunk of stream) {
+      const text = tail + chunk.toString('latin1');
+      if (text.includes(EICAR)) {
+        stream.destroy();
+        return { clean: false, signature: 'Eicar-Test-Signature' };
+      }
+      tail = text.slice(-EICAR.length);
+    }
+    return { clean: true };
+  }
+});
+
+// clamd over TCP or a unix socket, streaming the file with INSTREAM
+const createClamavScanner = ({ host = '127.0.0.1', port = 3310, socketPath, timeoutMs = 60000, maxSize = CLAMAV_DEFAULT_MAX_SIZE }) => {
+  const scan = (stream) => new Promise((resolve, reject) => {
+    const socket = socketPath ? net.createConnection(socketPath) : net.createConnection(port, host);
+    let reply = '';
+    let settled = false;
+
+    const finish = (err, result) => {
+      if (settled) return;
+      settled = true;
+      socket.destroy();
+      stream.destroy();
+      if (err) reject(err);
+      else resolve(result);
+    };
+
+    const parseReply = () => {
+      const line = reply.replace(/\0/g, '').trim();
+      if (/^stream: OK$/.test(line)) return finish(null, { clean: true });
+      const found = /^stream: (.+) FOUND$/.exec(line);
+      if (found) return finish(null, { clean: false, signature: found[1] });
+      finish(new Error(`clamd: ${line || 'no reply'}`));
+    };
+
+    // Each chunk goes out as [u32 length][bytes]; a zero length ends the stream
+    const sendFile = async () => {
+      socket.write('zINSTREAM\0');
+      for await (const data of stream) {
+        for (let offset = 0; offset < data.length && !settled; offset += CLAMAV_CHUNK_SIZE) {
+          const chunk = data.subarray(offset, offset + CLAMAV_CHUNK_SIZE);
+          const header = Buffer.alloc(4);
+          header.writeUInt32BE(chunk.length);
+          if (!socket.write(Buffer.concat([header, chunk]))) {
+            await new Promise(resume => {
+              socket.once('drain', resume);
+              socket.once('close', resume);
+            });
+          }
+        }
+        if (settled) return;
+      }
+      socket.write(Buffer.alloc(4));
+    };
+
+    socket.setTimeout(timeoutMs, () => finish(new Error('clamd timed out')));
+    socket.on('error', err => finish(err));
+    socket.on('data', (data) => {
+      reply += data.toString();
+      if (reply.includes('\0')) parseReply();
+    });
+    socket.on('end', parseReply);
+    socket.on('connect', () => sendFile().catch(err => finish(err)));
+  });
+
+  return { name: 'clamav', maxSize, scan };
+};
+
+// Resolve SCANNER_DRIVER=none|clamav|stub|<path to custom scanner module>
+const createScanner = ({ type }) => {
+  if (!type || type === 'none') {
+    return createNoopScanner();
+  }
+  if (type === 'stub') {
+    return createStubScanner();
+  }
+  if (type === 'clamav') {
+    return createClamavScanner({
+      host: process.env.CLAMAV_HOST || undefined,
+      port: Number(process.env.CLAMAV_PORT) || undefined,
+      socketPath: process.env.CLAMAV_SOCKET || undefined,
+      maxSize: Number(process.env.CLAMAV_MAX_SIZE) || undefined
+    });
+  }
+  // Custom scanner module exporting (options) => scanner
+  const factory = require(path.resolve(type));
+  return factory({});
+};
+
+// inspect({ path, name, claimedType, size }) resolves to
+//   { status: 'clean', mimetype, scanned }
+//   { status: 'rejected', mimetype, reason: 'type_not_allowed' | 'extension_not_allowed' | 'infected' | 'scan_failed' | 'too_large_to_scan', signature? }
+// failOpen lets files through when the scanner is down instead of rejecting them;
+// allowOversize lets files over the scanner's maxSize through unscanned. Both are opt-in.
+const createInspector = ({ scanner, policy, failOpen = false, allowOversize = false, concurrency = 1 }) => {
+  const limit = createLimiter(concurrency);
+
+  const readSample = async (filePath) => {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+      const buffer = Buffer.alloc(SNIFF_BYTES);
+      const { bytesRead } = await handle.read(buffer, 0, SNIFF_BYTES, 0);
+      return buffer.subarray(0, bytesRead);
+    } finally {
+      await handle.close();
+    }
+  };
+
+  const run = async ({ path: filePath, name, claimedType, size }) => {
+    const mimetype = resolveContentType(claimedType, await readSample(filePath));
+    const refused = checkPolicy(policy, { name, mimetype, claimedType });
+    if (refused) return { status: 'rejected', mimetype, reason: refused };
+
+    if (size > scanner.maxSize) {
+      return allowOversize
+        ? { status: 'clean', mimetype, scanned: false }
+        : { status: 'rejected', mimetype, reason: 'too_large_to_scan' };
+    }
+    try {
+      const result = await scanner.scan(fs.createReadStream(filePath, { highWaterMark: 1024 * 1024 }));
+      if (!result.clean) return { status: 'rejected', mimetype, reason: 'infected', signature: result.signature };
+    } catch (err) {
+      console.error(`Scanner (${scanner.name}) failed on ${name}:`, err.message);
+      return failOpen
+        ? { status: 'clean', mimetype, scanned: false }
+        : { status: 'rejected', mimetype, reason: 'scan_failed' };
+    }
+    return { status: 'clean', mimetype, scanned: scanner.name !== 'none' };
+  };
+
+  return { scanner: scanner.name, inspect: (upload) => limit(() => run(upload)) };
+};
+
+const createUploadPolicy = (env) => ({
+  allowTypes: parseTypeList(env.UPLOAD_ALLOW_TYPES),
+  denyTypes: parseTypeList(env.UPLOAD_DENY_TYPES),
+  allowExtensions: parseExtensionList(env.UPLOAD_ALLOW_EXTENSIONS),
+  denyExtensions: parseExtensionList(env.UPLOAD_DENY_EXTENSIONS)
+});
+
+module.exports = {
+  sniffContentType,
+  resolveContentType,
+  checkPolicy,
+  createScanner,
+  createClamavScanner,
+  createStubScanner,
+  createInspector,
+  createUploadPolicy
+};
@@ -8,7 +8,62 @@ const { v4: uuidv4 } = require('uuid');
 const QRCode = require('qrcode');
 const multer = require('multer');
 const archiver = require('archiver');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
 require('dotenv').config(); // Load environment variables
+const { createStore } = require('./store');
+const { createStorage } = require('./storage');
+const { createPubSub } = require('./pubsub');
+const { FRAME_KIND_BROADCAST, FRAME_KIND_PRIVATE, parseFrame, setFramePeer, toBuffer } = require('./frames');
+const { createReceiptTracker, MAX_CHUNK_INDEX, MAX_MISSING_REPORTED } = require('./transfers');
+const { CARD_WIDTH, CARD_HEIGHT, formatBytes, renderShareCard } = require('./sharecard');
+const { guessPreviewKind, createPreviewer } = require('./previews');
+const { createScanner, createInspector, createUploadPolicy } = require('./scanning');
+const { createRateLimiter, createMessageThrottle, readLimit } = require('./limits');
+const { createDiskGuard, createStagingStorage } = require('./disk');
+const { WHISPER_E2E_SCHEME, parseIdentityKey, isSealedBlob } = require('./identity');
+const { MAX_GROUP_MEMBERS, createGroupDirectory } = require('./groups');
+const { createRoomRecord, isRoomOwner, createInvite, addBan, revokeResumes, admit } = require('./rooms');
+const { createMailboxes } = require('./mailbox');
+const { createMessageLog } = require('./messages');
+const {
+  isCompressedFile,
+  uniqueArchiveNames,
+  buildZipPlan,
+  buildTarPlan,
+  readPlan,
+  bufferEntry,
+  archiveEtag
+} = require('./archives');
+const {
+  normalizeRelativePath,
+  splitRelativePath,
+  joinFolderPath,
+  isInFolder,
+  buildFileTree
+} = require('./folders');
+const {
+  parseRange,
+  makeEtag,
+  toHttpTime,
+  checkPreconditions,
+  ifRangeMatches,
+  contentDisposition,
+  buildMultipartBody,
+  createDeliveryTracker
+} = require('./ranges');
+const {
+  hashPassword,
+  verifyPassword,
+  generateSecretToken,
+  hashSecretToken,
+  secretTokenMatches,
+  loadTokenSecret,
+  createTokenSigner,
+  createAttemptLimiter,
+  getRequestToken
+} = require('./auth');
 
 const app = express();
 const server = http.createServer(app);
@@ -20,10 +75,10 @@ server.keepAliveTimeout = 600000; // 10 minutes keep-alive
 server.requestTimeout = 0; // Modern node support
 
 // Configure Multer once at top level to optimize memory and handle potential massive uploads
-const storage = multer.diskStorage({
+const storage = createStagingStorage({
   destination: (req, file, cb) => {
     const sid = req.params.sessionId;
-    const dir = path.join(__dirname, 'uploads', sid);
+    const dir = path.join(UPLOADS_DIR, sid);
     if (!fs.existsSync(dir)) {
       fs.mkdirSync(dir, { recursive: true });
     }
@@ -31,14 +86,59 @@ const storage = multer.diskStorage({
   },
   filename: (req, file, cb) => {
     // Obfuscate filenames on disk for user privacy
-    cb(null, `${Date.now()}-${uuidv4()}${path.extname(file.originalname)}`);
+    const session = sessions.get(req.params.sessionId);
+    const ext = session && session.encrypted ? '.enc' : path.extname(file.originalname);
+    cb(null, `${Date.now()}-${uuidv4()}${ext}`);
   }
 });
 
+// Busboy hands us multipart filenames decoded as latin1; browsers send UTF-8
+const decodeUploadName = (name) => Buffer.from(name, 'latin1').toString('utf8');
+
+const MAX_UPLOAD_SIZE = 50 * 1024 * 1024 * 1024; // 50GB limit
+const UPLOAD_CHUNK_SIZE = 8 * 1024 * 1024; // Suggested chunk size for resumable uploads
+const MIME_TYPE_PATTERN = /^[a-z0-9][a-z0-9!#$&^_.+-]{0,126}\/[a-z0-9][a-z0-9!#$&^_.+-]{0,126}$/i;
+const MAX_SOCKET_FILES = 1000; // Files announced over the session socket, per session
+const SOCKET_FILE_ID_MAX = 128;
+const SOCKET_FILE_NAME_MAX = 255;
+
+// End-to-end encrypted sessions ("heksta-e2e-v1"). The browser encrypts each file in
+// fixed 64KB plaintext chunks with AES-256-GCM; every sealed chunk is
+// [12-byte IV][ciphertext][16-byte tag], so byte offsets map straight onto chunk
+// boundaries and ranged downloads can resume without the server knowing the key.
+// The key lives in the join link fragment (#key=...), which browsers never send to us.
+const E2E_SCHEME = 'heksta-e2e-v1';
+const E2E_CHUNK_SIZE = 64 * 1024;
+const E2E_CHUNK_OVERHEAD = 12 + 16;
+const E2E_MANIFEST_LIMIT = 1024 * 1024; // 1MB of sealed names/sizes
+const E2E_SEALED_FILE_LIMIT = 64 * 1024; // base64 chars of one socket file's sealed name/type
+
+// Whisper E2E (see identity.js): the server relays `sealed` blobs and public keys only.
+// WHISPER_ALLOW_PLAINTEXT=true lets clients without keys keep sending plaintext fields
+// while they are rolled out; otherwise those messages are refused.
+const WHISPER_ALLOW_PLAINTEXT = process.env.WHISPER_ALLOW_PLAINTEXT === 'true';
+const WHISPER_SEALED_LIMIT = 16 * 1024 * 1024; // base64url chars in one sealed message
+
+const ARCHIVE_FORMATS = ['zip', 'tar', 'tar.gz'];
+
+// QR codes for join links: /api/session/:id/qr?format=png|svg&size=<px>&link=global|local
+const QR_FORMATS = ['png', 'svg'];
+const QR_MIN_SIZE = 64;
+const QR_MAX_SIZE = 1024;
+const QR_DEFAULT_SIZE = 256;
+
+// A sealed blob is whole chunks plus an optional non-empty final chunk
+const isValidSealedSize = (size) => {
+  const sealedChunk = E2E_CHUNK_SIZE + E2E_CHUNK_OVERHEAD;
+  const remainder = size % sealedChunk;
+  return remainder === 0 || remainder > E2E_CHUNK_OVERHEAD;
+};
+
 const uploadMiddleware = multer({
   storage: storage,
+  preservePath: true, // Keep "folder/file.txt" when the client sends a relative path as the filename
   limits: {
-    fileSize: 50 * 1024 * 1024 * 1024, // 50GB limit
+    fileSize: MAX_UPLOAD_SIZE,
     fieldSize: 500 * 1024 * 1024 // 500MB field size
   }
 }).array('files');
@@ -47,6 +147,29 @@ const uploadMiddleware = multer({
 const wss = new WebSocket.Server({ noServer: true });
 const whisperWss = new WebSocket.Server({ noServer: true });
 
+// Socket relay backpressure: pause a sender while any receiver has more than
+// RELAY_HIGH_WATER queued, resume below RELAY_LOW_WATER, and drop receivers so far
+// behind they'd otherwise hold RELAY_MAX_BUFFERED of server memory
+const RELAY_HIGH_WATER = 8 * 1024 * 1024;
+const RELAY_LOW_WATER = 1024 * 1024;
+const RELAY_MAX_BUFFERED = 64 * 1024 * 1024;
+const TRANSFER_PROGRESS_INTERVAL = 500; // Throttle per-receiver transfer_progress events to the sender
+
+// WebRTC: the sockets only carry signalling (SDP offers/answers, ICE candidates);
+// file bytes then flow peer-to-peer, or over the socket relay if that fails.
+// RTC_ICE_SERVERS takes the browser's RTCIceServer list as JSON, e.g.
+// '[{"urls":"turn:turn.example.com:3478","username":"u","credential":"p"}]'
+const RTC_SIGNAL_LIMIT = 64 * 1024; // Largest SDP/candidate payload we'll forward
+const TRANSFER_PATHS = ['http', 'p2p', 'relay'];
+const RTC_ICE_SERVERS = (() => {
+  try {
+    if (process.env.RTC_ICE_SERVERS) return JSON.parse(process.env.RTC_ICE_SERVERS);
+  } catch (err) {
+    console.error('RTC_ICE_SERVERS is not valid JSON, using the default STUN server');
+  }
+  return [{ urls: 'stun:stun.l.google.com:19302' }];
+})();
+
 const PORT = process.env.PORT || 5000;
 const CLIENT_URL = process.env.CLIENT_URL;
 
@@ -63,14 +186,154 @@ const getServerUrl = () => {
   return cachedServerUrl;
 };
 
-// Store active sessions
-const sessions = new Map();
-const downloadStats = new Map();
-const whisperUsers = new Map(); // { clientId: { name, ws, joinedAt } }
-const whisperFiles = new Map(); // { fileId: { path, originalName, mimetype, uploadedBy, uploadedAt } }
+// Multer and resumable uploads always stage on local disk; finished files then go to
+// the storage driver (the same folder for the local driver, a bucket for S3)
+const UPLOADS_DIR = path.join(__dirname, 'uploads');
+const WHISPER_DIR = path.join(UPLOADS_DIR, '_whisper');
+const SESSION_TTL = 4 * 60 * 60 * 1000; // 4 hours (default session lifetime)
+const MAX_SESSION_TTL = 7 * 24 * 60 * 60 * 1000; // Longest expiry a sender may pick
+const WHISPER_FILE_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const WHISPER_ROOM_TTL = 7 * 24 * 60 * 60 * 1000; // Rooms nobody has joined for this long are deleted
+const WHISPER_OFFLINE_TTL = 24 * 60 * 60 * 1000; // Resume tokens, queued messages and history
+const WHISPER_RESUME_GRACE = 5 * 60 * 1000; // A dropped user's uploads wait this long for them to come back
+const WHISPER_MAILBOX_MESSAGES = 500; // Per user, for both the offline queue and history
+const WHISPER_MAILBOX_BYTES = 8 * 1024 * 1024;
+const WHISPER_RECEIPT_BATCH = 100; // Message ids in one delivered/read receipt
+const WHISPER_EDIT_WINDOW = 15 * 60 * 1000; // Authors may edit for this long; delete-for-everyone lasts WHISPER_OFFLINE_TTL
+const WHISPER_EDITABLE = ['private_message', 'room_message', 'group_message'];
+const WHISPER_REACTION_MAX = 32; // Characters: one emoji, skin tones and ZWJ sequences included
+const WHISPER_REACTION = /^(?=.*[\p{Extended_Pictographic}\p{Regional_Indicator}])[\p{Extended_Pictographic}\p{Emoji_Component}\p{Regional_Indicator}\u200d\ufe0f]+$/u;
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+// New uploads are refused (507) once free space under UPLOADS_DIR would drop below this
+const DISK_RESERVE_BYTES = Number(process.env.DISK_RESERVE_MB || 1024) * 1024 * 1024;
+// server.timeout is 0 for huge uploads, so a client that vanishes mid-body would hold its
+// socket and staged file forever; upload requests are dropped after this long with no bytes
+const UPLOAD_IDLE_TIMEOUT = 2 * 60 * 1000;
+const diskGuard = createDiskGuard({ root: UPLOADS_DIR, reserveBytes: DISK_RESERVE_BYTES });
+
+// Operator endpoints (/api/admin/*) are off unless ADMIN_TOKEN is set
+const adminTokenHash = process.env.ADMIN_TOKEN ? hashSecretToken(process.env.ADMIN_TOKEN) : null;
+
+// Store active sessions (persisted through the store driver so they survive restarts)
+const store = createStore({
+  type: process.env.SESSION_STORE,
+  dataDir: DATA_DIR
+});
+const sessions = store.sessions;
+
+const fileStorage = createStorage({
+  type: process.env.STORAGE_DRIVER,
+  root: UPLOADS_DIR
+});
+
+const sessionFileKey = (sessionId, filename) => `${sessionId}/${filename}`;
+const previewFileKey = (sessionId, fileId, extension) => `${sessionId}/.previews/${fileId}.${extension}`;
+// Where a finished upload waits (on local disk) while it's in quarantine
+const getStagingPath = (sessionId, filename) => path.join(UPLOADS_DIR, sessionId, filename);
+const whisperFileKey = (filename) => `_whisper/${filename}`;
+
+// Carries WebSocket events between instances and holds whisper presence, groups and
+// mailboxes for the whole fleet
+const pubsub = createPubSub({
+  type: process.env.PUBSUB_DRIVER,
+  url: process.env.REDIS_URL
+});
+const whisperGroups = createGroupDirectory(pubsub.shared, { ttl: WHISPER_OFFLINE_TTL });
+const whisperMailboxes = createMailboxes(pubsub.shared, {
+  ttl: WHISPER_OFFLINE_TTL,
+  maxMessages: WHISPER_MAILBOX_MESSAGES,
+  maxBytes: WHISPER_MAILBOX_BYTES
+});
+const whisperMessageLog = createMessageLog(pubsub.shared, { ttl: WHISPER_OFFLINE_TTL });
+
+const logPubSubError = (err) => console.error('Pub/sub publish failed:', err.message);
+
+// File previews, rendered on first request and stored next to the file (see previews.js)
+const previewer = createPreviewer({
+  storage: fileStorage,
+  imageMagick: process.env.PREVIEW_IMAGEMAGICK, // e.g. `magick` for ImageMagick 7
+  pdftoppm: process.env.PREVIEW_PDFTOPPM
+});
+const previewJobs = new Map(); // 'sessionId:fileId' -> Promise, so concurrent requests share one render
+const PREVIEW_RETRY_MS = 10 * 60 * 1000; // Failed renders (not unsupported files) are retried after this
+// Previews are served from our origin: never let one run script or load anything
+const PREVIEW_CSP = "default-src 'none'; img-src data:; style-src 'unsafe-inline'; sandbox";
+const UPLOAD_CSP = "default-src 'none'; img-src data:; media-src 'self'; style-src 'unsafe-inline'; sandbox";
+
+// Every upload is sniffed, checked against the type/extension policy and scanned
+// before anyone can download it (see scanning.js):
+//   SCANNER_DRIVER=none|clamav|stub|<module>, CLAMAV_HOST/CLAMAV_PORT or CLAMAV_SOCKET
+//   UPLOAD_ALLOW_TYPES / UPLOAD_DENY_TYPES       e.g. "image/*,application/pdf"
+//   UPLOAD_ALLOW_EXTENSIONS / UPLOAD_DENY_EXTENSIONS  e.g. ".exe,.bat"
+//   SCAN_FAIL_OPEN=true  publish files anyway when the scanner is unreachable
+//   CLAMAV_MAX_SIZE      bytes clamd accepts (match its StreamMaxLength; 25MB by default).
+//                        Bigger files are rejected as too_large_to_scan, unless
+//   SCAN_ALLOW_OVERSIZE=true  which publishes them unscanned (type checks still apply)
+const uploadInspector = createInspector({
+  scanner: createScanner({ type: process.env.SCANNER_DRIVER }),
+  policy: createUploadPolicy(process.env),
+  failOpen: process.env.SCAN_FAIL_OPEN === 'true',
+  allowOversize: process.env.SCAN_ALLOW_OVERSIZE === 'true'
+});
+const whisperQuarantine = new Map(); // Whisper uploads still being inspected: { fileId: record }
+const whisperDownloads = new Map(); // Whisper downloads running on this instance: { fileId: count }
+
+// Background deletes shouldn't take a request down with them
+const removeStoredFile = (key) => {
+  fileStorage.delete(key).catch(err => console.error(`Storage delete failed for ${key}:`, err.message));
+};
+const downloadStats = store.downloadStats;
+const downloadDeliveries = createDeliveryTracker({ ttl: 24 * 60 * 60 * 1000 }); // Ranged downloads, per client
+const chunkReceipts = createReceiptTracker(); // Acked socket-relay chunks, per receiver on this instance
+const whisperTransferPaths = { p2p: 0, relay: 0 }; // Whisper files have no per-file stats, just totals
+const whisperUsers = new Map(); // Sockets on THIS instance: { clientId: { name, ws, joinedAt } }
+const whisperFiles = store.whisperFiles; // { fileId: { path, originalName, mimetype, uploadedBy, uploadedAt } }
+const whisperRooms = store.whisperRooms; // { roomId: room } (see rooms.js)
+
+// WHISPER_PUBLIC_LOBBY=true keeps an open, listed 'global' room (no owner, no password)
+// for clients that join without picking a room. Otherwise only created rooms exist.
+const LOBBY_ROOM = process.env.WHISPER_PUBLIC_LOBBY === 'true'
+  ? { id: 'global', name: 'Lobby', ownerTokenHash: null, passwordHash: null, inviteOnly: false, public: true, invites: {}, bans: [] }
+  : null;
+
+const ROOM_ADMISSION_ERRORS = {
+  banned: 'You are banned from this room',
+  invalid_invite: 'This invite is invalid, used or expired',
+  invite_required: 'This room is invite-only',
+  password_required: 'This room needs a password',
+  invalid_password: 'Wrong room password'
+};
 
 const cors = require('cors');
 
+// Session access tokens and password brute-force protection
+const tokenSigner = createTokenSigner(loadTokenSecret(DATA_DIR));
+const verifyLimiter = createAttemptLimiter({
+  maxAttempts: 5,
+  windowMs: 15 * 60 * 1000,
+  lockoutMs: 15 * 60 * 1000
+});
+
+// Abuse limits, all overridable from the environment (LIMIT_*=0 turns one off).
+// Byte quotas count what is stored or promised right now, so they free up as files expire.
+const GB = 1024 * 1024 * 1024;
+const SESSIONS_PER_IP_PER_HOUR = readLimit('LIMIT_SESSIONS_PER_HOUR', 30);
+const MAX_ACTIVE_SESSIONS = readLimit('LIMIT_MAX_SESSIONS', 10000); // Across all clients
+const SESSION_QUOTA_BYTES = readLimit('LIMIT_SESSION_BYTES', 100 * GB);
+const IP_QUOTA_BYTES = readLimit('LIMIT_IP_BYTES', 200 * GB); // Sessions and whisper together
+const MAX_DOWNLOADS_PER_FILE = readLimit('LIMIT_CONCURRENT_DOWNLOADS', 20);
+const WS_MESSAGES_PER_SECOND = readLimit('LIMIT_WS_MESSAGES_PER_SECOND', 1000);
+const sessionCreationLimiter = createRateLimiter({ limit: SESSIONS_PER_IP_PER_HOUR, windowMs: 60 * 60 * 1000 });
+const roomCreationLimiter = createRateLimiter({ limit: SESSIONS_PER_IP_PER_HOUR, windowMs: 60 * 60 * 1000 }); // Same budget, kept apart
+const allowSocketMessage = createMessageThrottle({ perSecond: WS_MESSAGES_PER_SECOND });
+const MULTIPART_SLACK = 64 * 1024; // Boundaries and form fields on top of the file bytes
+
+// Render terminates TLS in front of us; trust it so req.ip is the real client
+if (process.env.NODE_ENV === 'production') {
+  app.set('trust proxy', 1);
+}
+
 // Middleware
 app.use(express.json());
 
@@ -79,7 +342,8 @@ app.use(cors({
   origin: [CLIENT_URL, 'https://heksta.in', 'https://heksta-landind-final.onrender.com'].filter(Boolean),
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Origin', 'X-Requested-With', 'Content-Type', 'Accept']
+  allowedHeaders: ['Origin', 'X-Requested-With', 'Content-Type', 'Accept', 'Authorization', 'X-Owner-Token', 'Upload-Offset'],
+  exposedHeaders: ['Upload-Offset', 'X-Join-Link', 'X-Archive-Skipped']
 }));
 
 // Get local IP
@@ -87,44 +351,209 @@ const getLocalIP = () => {
   return ip.address();
 };
 
+// Global and LAN links for a session
+const getShareLinks = (sessionId) => {
+  const localIp = getLocalIP();
+  const isProd = process.env.NODE_ENV === 'production';
+
+  const globalBase = isProd ? 'https://heksta.in' : `http://${localIp}:${PORT}`;
+  const localBase = `http://${localIp}:${PORT}`;
+
+  return {
+    joinLink: `${globalBase}/join/${sessionId}`,
+    localJoinLink: `${localBase}/join/${sessionId}`,
+    serverUrl: globalBase,
+    localServerUrl: localBase
+  };
+};
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+
 // Generate session ID
 const generateSessionId = () => {
   return uuidv4().substring(0, 8);
 };
 
+// Receivers stay in for the life of the session
+const issueAccessToken = (session) => tokenSigner.issue({ sid: session.id }, getSessionExpiry(session) - Date.now());
+
+const getSessionExpiry = (session) => session.expiresAt || session.createdAt + SESSION_TTL;
+
+// Read sender-chosen lifetime rules from a request body (JSON or multipart fields).
+// expiresIn/expiresAt are in ms; nothing may outlive maxExpiresAt.
+const parseLifetimeOptions = (body, maxExpiresAt) => {
+  const now = Date.now();
+  let expiresAt = null;
+  if (body.expiresAt !== undefined && body.expiresAt !== '') {
+    expiresAt = Number(body.expiresAt);
+  } else if (body.expiresIn !== undefined && body.expiresIn !== '') {
+    expiresAt = now + Number(body.expiresIn);
+  }
+  if (expiresAt !== null && (!Number.isFinite(expiresAt) || expiresAt <= now)) {
+    return { error: 'expiresAt/expiresIn must be in the future' };
+  }
+
+  let maxDownloads = null;
+  if (body.maxDownloads !== undefined && body.maxDownloads !== '' && body.maxDownloads !== null) {
+    maxDownloads = Number(body.maxDownloads);
+    if (!Number.isInteger(maxDownloads) || maxDownloads < 1) {
+      return { error: 'maxDownloads must be a positive integer' };
+    }
+  }
+
+  const burnAfterDownload = body.burnAfterDownload === true || body.burnAfterDownload === 'true';
+
+  return {
+    expiresAt: expiresAt === null ? null : Math.min(expiresAt, maxExpiresAt),
+    maxDownloads,
+    burnAfterDownload
+  };
+};
+
+// Only keep per-file rules the uploader actually set, so session defaults still apply
+const getUploadLifetime = ({ expiresAt, maxDownloads, burnAfterDownload }) => {
+  const rules = {};
+  if (expiresAt) rules.expiresAt = expiresAt;
+  if (maxDownloads) rules.maxDownloads = maxDownloads;
+  if (burnAfterDownload) rules.burnAfterDownload = true;
+  return rules;
+};
+
+// Per-file rules fall back to the session defaults
+const getFileLimits = (session, file) => ({
+  expiresAt: Math.min(file.expiresAt || Infinity, getSessionExpiry(session)),
+  maxDownloads: file.maxDownloads || session.maxDownloads || null,
+  burnAfterDownload: file.burnAfterDownload !== undefined ? file.burnAfterDownload : !!session.burnAfterDownload
+});
+
+// Password-protected sessions need a token from /verify (or /create-session) on every
+// route. Open sessions stay reachable by ID alone. Missing sessions fall through to the route's 404.
+const hasSessionAccess = (session, token) => {
+  if (!session || !session.passwordHash) return true;
+  const claims = tokenSigner.verify(token);
+  return !!claims && claims.sid === session.id;
+};
+
+const requireSessionAccess = (req, res, next) => {
+  const session = sessions.get(req.params.sessionId);
+  if (!hasSessionAccess(session, getRequestToken(req))) {
+    return res.status(401).json({ error: 'Access token required' });
+  }
+  next();
+};
+
+// The sender gets an owner token from /create-session; it's what lets them manage the session.
+// Sessions restored from before owner tokens existed have no hash and stay open.
+const getOwnerToken = (req) => req.headers['x-owner-token'] || req.query.ownerToken;
+
+const isSessionOwner = (session, token) => !session.ownerTokenHash || secretTokenMatches(token, session.ownerTokenHash);
+
+const requireSessionOwner = (req, res, next) => {
+  const session = sessions.get(req.params.sessionId);
+  if (session && !isSessionOwner(session, getOwnerToken(req))) {
+    return res.status(403).json({ error: 'Only the session owner can do this' });
+  }
+  next();
+};
+
+// Uploads need the owner token, unless the sender opened the session up as a drop box
+const requireUploadAccess = (req, res, next) => {
+  const session = sessions.get(req.params.sessionId);
+  if (!session) return next();
+
+  req.isSessionOwner = isSessionOwner(session, getOwnerToken(req));
+  if (req.isSessionOwner) return next();
+
+  if (!session.allowReceiverUploads) {
+    return res.status(403).json({ error: 'Only the session owner can upload' });
+  }
+  if (!hasSessionAccess(session, getRequestToken(req))) {
+    return res.status(401).json({ error: 'Access token required' });
+  }
+  next();
+};
+
 // Create file session
 app.post('/api/create-session', (req, res) => {
+  let activeSessions = 0;
+  sessions.forEach(session => { if (session.active) activeSessions++; });
+  if (activeSessions >= MAX_ACTIVE_SESSIONS) {
+    res.setHeader('Retry-After', 60);
+    return res.status(503).json({ error: 'Too many active sessions on this server, try again later' });
+  }
+
+  const retryInMs = sessionCreationLimiter.take(req.ip);
+  if (retryInMs) {
+    res.setHeader('Retry-After', Math.ceil(retryInMs / 1000));
+    return res.status(429).json({
+      error: `Too many sessions created, try again in ${Math.ceil(retryInMs / 60000)} min`,
+      retryAfter: Math.ceil(retryInMs / 1000)
+    });
+  }
+
   try {
     const sessionId = generateSessionId();
-    const { password = '', senderName = 'Anonymous' } = req.body;
+    const {
+      password = '',
+      senderName = 'Anonymous',
+      encrypted = false,
+      allowReceiverUploads = false,
+      showFileNames = false
+    } = req.body;
+    // verifyPassword only takes strings, so a password that isn't one could never be entered
+    if (typeof password !== 'string') {
+      return res.status(400).json({ error: 'password must be a string' });
+    }
+    const ownerToken = generateSecretToken();
+    const createdAt = Date.now();
+
+    // Session-wide expiry, plus default download limits for every file in it
+    const lifetime = parseLifetimeOptions(req.body, createdAt + MAX_SESSION_TTL);
+    if (lifetime.error) {
+      return res.status(400).json({ error: lifetime.error });
+    }
 
     const session = {
       id: sessionId,
-      password,
+      passwordHash: password ? hashPassword(password) : null,
+      ownerTokenHash: hashSecretToken(ownerToken),
+      allowReceiverUploads: !!allowReceiverUploads, // Two-way drop box: receivers may add files too
+      showFileNames: !!showFileNames, // List file names in link previews (never for password/encrypted sessions)
       senderName,
       files: [],
       socketFiles: [], // Track files shared via WebSockets
-      createdAt: Date.now(),
+      uploads: {}, // Resumable uploads still in progress, keyed by uploadId
+      encrypted: !!encrypted, // Server only ever holds ciphertext + a sealed manifest
+      manifest: null, // base64 sealed { fileId: { name, size, type } } written by the sender
+      expiresAt: lifetime.expiresAt || createdAt + SESSION_TTL,
+      maxDownloads: lifetime.maxDownloads,
+      burnAfterDownload: lifetime.burnAfterDownload,
+      createdAt,
       active: true,
       connectedClients: 0
     };
 
     sessions.set(sessionId, session);
 
-    // Generate both Local and Global links
-    const localIp = getLocalIP();
-    const isProd = process.env.NODE_ENV === 'production';
+    const response = {
+      sessionId,
+      accessToken: issueAccessToken(session),
+      ownerToken, // Keep secret: required to upload to, manage or close the session
+      ...getShareLinks(sessionId), // Both the Global and the Local (LAN) link
+      expiresAt: session.expiresAt
+    };
 
-    const globalBase = isProd ? 'https://heksta.in' : `http://${localIp}:${PORT}`;
-    const localBase = `http://${localIp}:${PORT}`;
+    if (session.encrypted) {
+      // The sender appends `#key=<base64url key>` to both links itself
+      response.encryption = {
+        scheme: E2E_SCHEME,
+        chunkSize: E2E_CHUNK_SIZE,
+        chunkOverhead: E2E_CHUNK_OVERHEAD,
+        keyFragment: 'key'
+      };
+    }
 
-    res.json({
-      sessionId,
-      joinLink: `${globalBase}/join/${sessionId}`,
-      localJoinLink: `${localBase}/join/${sessionId}`,
-      serverUrl: globalBase,
-      localServerUrl: localBase
-    });
+    res.json(response);
   } catch (error) {
     console.error('Session creation error:', error);
     res.status(500).json({ error: 'Failed to create session: ' + error.message });
@@ -132,7 +561,7 @@ app.post('/api/create-session', (req, res) => {
 });
 
 // Upload files to session
-app.post('/api/upload/:sessionId', (req, res) => {
+app.post('/api/upload/:sessionId', requireUploadAccess, (req, res) => {
   const sessionId = req.params.sessionId;
   const session = sessions.get(sessionId);
 
@@ -144,9 +573,21 @@ app.post('/api/upload/:sessionId', (req, res) => {
     return res.status(400).json({ error: 'Session is not active' });
   }
 
-  uploadMiddleware(req, res, (err) => {
+  // Refuse before reading the body when it can't fit; checked again once we know the real sizes
+  const allowance = getUploadAllowance(req, session);
+  const declaredLength = Number(req.headers['content-length']);
+  if (allowance.bytes === 0 || declaredLength > allowance.bytes + MULTIPART_SLACK) {
+    return rejectOverQuota(res, allowance);
+  }
+  if (!holdDiskSpace(req, res, declaredLength)) return;
+
+  uploadMiddleware(req, res, async (err) => {
+    if (err && err.code === 'ERR_STREAM_PREMATURE_CLOSE') {
+      return console.log(`Upload to session ${sessionId} aborted by the client, partial files removed`);
+    }
     if (err) {
       console.error('Upload error:', err);
+      if (isDiskFull(err)) return rejectLowDisk(res);
       return res.status(500).json({ error: 'Upload failed: ' + err.message });
     }
 
@@ -155,666 +596,3371 @@ app.post('/api/upload/:sessionId', (req, res) => {
       return res.status(400).json({ error: 'No files uploaded' });
     }
 
-    const files = req.files.map(file => ({
-      id: uuidv4(),
-      originalName: file.originalname,  // multer captures the 3rd arg of formData.append here
-      filename: file.filename,
-      path: file.path,
-      size: file.size,
-      mimetype: file.mimetype,
-      uploadedAt: Date.now()
-    }));
+    const received = req.files.reduce((sum, file) => sum + file.size, 0);
+    const remaining = getUploadAllowance(req, session);
+    if (received > remaining.bytes) {
+      req.files.forEach(file => fs.existsSync(file.path) && fs.unlinkSync(file.path));
+      return rejectOverQuota(res, remaining);
+    }
 
-    session.files = [...session.files, ...files];
-    sessions.set(sessionId, session);
+    // Optional expiry/limit fields apply to every file in this request
+    const lifetime = parseLifetimeOptions(req.body || {}, getSessionExpiry(session));
+    if (lifetime.error) {
+      req.files.forEach(file => fs.existsSync(file.path) && fs.unlinkSync(file.path));
+      return res.status(400).json({ error: lifetime.error });
+    }
 
-    console.log(`Uploaded ${files.length} files to session ${sessionId}`);
+    if (session.encrypted) {
+      const invalid = req.files.filter(file => !isValidSealedSize(file.size));
+      if (invalid.length > 0) {
+        req.files.forEach(file => fs.existsSync(file.path) && fs.unlinkSync(file.path));
+        return res.status(400).json({ error: `Not a valid ${E2E_SCHEME} blob` });
+      }
+    }
 
-    // Notify connected clients
-    const filesList = [
-      ...(session.files.map(f => ({
-        id: f.id,
-        name: f.originalName,
-        size: f.size,
-        type: f.mimetype
-      }))),
-      ...(session.socketFiles || [])
-    ];
+    // Folder uploads: one relativePaths field per file (same order), or the relative
+    // path as the filename (the 3rd arg of formData.append, e.g. webkitRelativePath)
+    const relativePaths = [].concat(req.body.relativePaths || []);
+    const paths = req.files.map((file, i) => normalizeRelativePath(relativePaths[i] || decodeUploadName(file.originalname)));
+    if (!session.encrypted && paths.some(p => !p)) {
+      req.files.forEach(file => fs.existsSync(file.path) && fs.unlinkSync(file.path));
+      return res.status(400).json({ error: 'Invalid file path' });
+    }
 
-    broadcastToSession(sessionId, {
-      type: 'files_updated',
-      files: filesList
+    const files = req.files.map((file, i) => {
+      const id = uuidv4();
+      // Names, folders and types of encrypted files only exist inside the sealed manifest
+      const { folder, name } = session.encrypted ? { folder: '', name: `${id}.enc` } : splitRelativePath(paths[i]);
+      return {
+        id,
+        originalName: name,
+        folder,
+        filename: file.filename,
+        key: sessionFileKey(sessionId, file.filename),
+        size: file.size,
+        mimetype: session.encrypted ? 'application/octet-stream' : file.mimetype,
+        uploadedBy: req.isSessionOwner ? 'sender' : 'receiver',
+        uploaderKey: getClientKey(req),
+        ...getUploadLifetime(lifetime),
+        uploadedAt: Date.now()
+      };
     });
 
+    // Receivers only see the files once they pass inspection (files_updated / file_rejected)
+    quarantineSessionFiles(sessionId, files);
+
+    console.log(`Uploaded ${files.length} files to session ${sessionId}`);
+
     res.json({
       message: 'Files uploaded successfully',
       files: files.map(f => ({
         id: f.id,
         name: f.originalName,
-        size: f.size
+        path: joinFolderPath(f.folder, f.originalName),
+        size: f.size,
+        status: 'scanning'
       }))
     });
   });
 });
 
-// Get session info
-app.get('/api/session/:sessionId', (req, res) => {
-  const sessionId = req.params.sessionId;
+// ── RESUMABLE UPLOADS ──
+// 1. POST /api/upload/:sessionId/init            { fileName, relativePath, fileSize, mimeType } -> { uploadId }
+// 2. PUT  /api/upload/:sessionId/:uploadId        raw bytes, `Upload-Offset` header = bytes already sent
+// 3. GET  /api/upload/:sessionId/:uploadId        -> { offset } to find where to resume after a drop
+// 4. POST /api/upload/:sessionId/:uploadId/complete  moves the file into the session
+// Partial data lives in uploads/<sessionId>/.partial until the upload completes.
+const activeChunkWrites = new Set();
+
+const getPartialPath = (sessionId, uploadId) => path.join(UPLOADS_DIR, sessionId, '.partial', `${uploadId}.part`);
+
+const getPartialOffset = (sessionId, uploadId) => {
+  const partPath = getPartialPath(sessionId, uploadId);
+  return fs.existsSync(partPath) ? fs.statSync(partPath).size : 0;
+};
+
+// Resolve session + pending upload for the chunk/status/complete routes (after requireUploadAccess)
+const getResumableUpload = (req, res) => {
+  const { sessionId, uploadId } = req.params;
   const session = sessions.get(sessionId);
 
   if (!session) {
-    return res.status(404).json({ error: 'Session not found' });
+    res.status(404).json({ error: 'Session not found' });
+    return null;
   }
+  if (!session.active) {
+    res.status(400).json({ error: 'Session is not active' });
+    return null;
+  }
+  const upload = session.uploads && session.uploads[uploadId];
+  if (!upload) {
+    res.status(404).json({ error: 'Upload not found' });
+    return null;
+  }
+  // Only whoever started it (or the owner) may look at, add to or finish an upload
+  if (!req.isSessionOwner && upload.uploaderKey !== getClientKey(req)) {
+    res.status(403).json({ error: 'This upload belongs to someone else' });
+    return null;
+  }
+  return { session, upload };
+};
 
-  res.json({
-    sessionId: session.id,
-    senderName: session.senderName,
-    fileCount: session.files.length,
-    connectedClients: session.connectedClients,
-    requiresPassword: !!session.password
-  });
-});
-
-// Verify session password
-app.post('/api/session/:sessionId/verify', (req, res) => {
+app.post('/api/upload/:sessionId/init', requireUploadAccess, (req, res) => {
   const sessionId = req.params.sessionId;
-  const { password } = req.body;
   const session = sessions.get(sessionId);
 
   if (!session) {
     return res.status(404).json({ error: 'Session not found' });
   }
 
-  if (session.password && session.password !== password) {
-    return res.status(401).json({ error: 'Invalid password' });
+  if (!session.active) {
+    return res.status(400).json({ error: 'Session is not active' });
   }
 
-  res.json({ verified: true });
-});
+  const { fileName, mimeType } = req.body;
+  const fileSize = Number(req.body.fileSize);
 
-// Get files list
-app.get('/api/session/:sessionId/files', (req, res) => {
-  const sessionId = req.params.sessionId;
-  const session = sessions.get(sessionId);
+  if (!fileName || typeof fileName !== 'string') {
+    return res.status(400).json({ error: 'fileName is required' });
+  }
+  // relativePath ("folder/file.txt") places the file in a folder
+  const relativePath = normalizeRelativePath(req.body.relativePath || fileName);
+  if (!session.encrypted && !relativePath) {
+    return res.status(400).json({ error: 'Invalid file path' });
+  }
+  if (!Number.isSafeInteger(fileSize) || fileSize < 0) {
+    return res.status(400).json({ error: 'fileSize must be a non-negative integer' });
+  }
+  if (fileSize > MAX_UPLOAD_SIZE) {
+    return res.status(413).json({ error: 'File too large' });
+  }
+  if (session.encrypted && !isValidSealedSize(fileSize)) {
+    return res.status(400).json({ error: `Not a valid ${E2E_SCHEME} blob size` });
+  }
+  // The declared size counts against the quotas from here on, so parallel inits can't overshoot
+  const allowance = getUploadAllowance(req, session);
+  if (fileSize > allowance.bytes) {
+    return rejectOverQuota(res, allowance);
+  }
+  if (!diskGuard.canAccept(fileSize)) {
+    return rejectLowDisk(res);
+  }
 
-  if (!session) {
-    return res.status(404).json({ error: 'Session not found' });
+  const lifetime = parseLifetimeOptions(req.body, getSessionExpiry(session));
+  if (lifetime.error) {
+    return res.status(400).json({ error: lifetime.error });
   }
 
-  const filesList = [
-    ...(session.files.map(file => ({
-      id: file.id,
-      name: file.originalName,
-      size: file.size,
-      type: file.mimetype
-    }))),
-    ...(session.socketFiles || [])
-  ];
+  const uploadId = uuidv4();
+  const partPath = getPartialPath(sessionId, uploadId);
+  fs.mkdirSync(path.dirname(partPath), { recursive: true });
+  fs.writeFileSync(partPath, '');
+
+  if (!session.uploads) session.uploads = {};
+  session.uploads[uploadId] = {
+    id: uploadId,
+    originalName: session.encrypted ? null : splitRelativePath(relativePath).name,
+    folder: session.encrypted ? '' : splitRelativePath(relativePath).folder,
+    size: fileSize,
+    mimetype: session.encrypted ? 'application/octet-stream' : (mimeType || 'application/octet-stream'),
+    uploadedBy: req.isSessionOwner ? 'sender' : 'receiver',
+    uploaderKey: getClientKey(req),
+    ...getUploadLifetime(lifetime),
+    startedAt: Date.now()
+  };
+  sessions.set(sessionId, session);
+
+  console.log(`Resumable upload ${uploadId} started in session ${sessionId} (${fileSize} bytes)`);
 
+  res.status(201).json({ uploadId, offset: 0, chunkSize: UPLOAD_CHUNK_SIZE });
+});
+
+app.get('/api/upload/:sessionId/:uploadId', requireUploadAccess, (req, res) => {
+  const found = getResumableUpload(req, res);
+  if (!found) return;
+
+  const offset = getPartialOffset(req.params.sessionId, req.params.uploadId);
+  res.setHeader('Upload-Offset', offset);
   res.json({
-    files: filesList
+    uploadId: found.upload.id,
+    name: found.upload.originalName,
+    size: found.upload.size,
+    offset,
+    complete: offset === found.upload.size
   });
 });
 
-// Stream file download
-app.get('/api/download/:sessionId/:fileId', (req, res) => {
-  const { sessionId, fileId } = req.params;
-  const session = sessions.get(sessionId);
+app.put('/api/upload/:sessionId/:uploadId', requireUploadAccess, (req, res) => {
+  const found = getResumableUpload(req, res);
+  if (!found) return;
 
-  if (!session) {
-    console.log(`Download failed: Session ${sessionId} not found`);
-    return res.status(404).json({ error: 'Session not found' });
-  }
+  const { sessionId, uploadId } = req.params;
+  const { upload } = found;
+  const offset = Number(req.headers['upload-offset']);
+  const currentOffset = getPartialOffset(sessionId, uploadId);
 
-  const file = session.files.find(f => f.id === fileId);
-  if (!file) {
-    console.log(`Download failed: File ${fileId} not found in session ${sessionId}`);
-    return res.status(404).json({ error: 'File not found' });
+  if (activeChunkWrites.has(uploadId)) {
+    return res.status(409).json({ error: 'Another chunk is already being written', offset: currentOffset });
+  }
+  // Chunks must be sent in order; tell the client where to pick up from
+  if (!Number.isSafeInteger(offset) || offset !== currentOffset) {
+    res.setHeader('Upload-Offset', currentOffset);
+    return res.status(409).json({ error: 'Offset mismatch', offset: currentOffset });
   }
 
-  const filePath = file.path;
-
-  // Check if file exists
-  if (!fs.existsSync(filePath)) {
-    console.log(`Download failed: File ID ${fileId} not found on server`);
-    trackDownloadFailure(sessionId, fileId, 'File not found on server');
-    return res.status(404).json({ error: 'File not found on server' });
+  const declaredLength = Number(req.headers['content-length']);
+  if (declaredLength && offset + declaredLength > upload.size) {
+    return res.status(413).json({ error: 'Chunk exceeds declared file size' });
   }
+  if (!holdDiskSpace(req, res, declaredLength || upload.size - offset)) return;
+
+  activeChunkWrites.add(uploadId);
+  const partPath = getPartialPath(sessionId, uploadId);
+  const partStream = fs.createWriteStream(partPath, { flags: 'a', highWaterMark: 1024 * 1024 });
+  let received = 0;
+  let overflow = false;
+  const endPart = () => {
+    if (!partStream.writableEnded) partStream.end();
+  };
 
-  // Track download start
-  const clientId = req.query.clientId || 'unknown';
-  trackDownloadStart(sessionId, fileId, clientId);
-  // Optimize download stream with larger buffer for higher speed
-  const stat = fs.statSync(filePath);
-  const fileSize = stat.size;
-  const range = req.headers.range;
+  // Written by hand rather than piped so nothing past the declared size reaches disk:
+  // the bytes that still fit are kept, the rest of the request is drained and dropped
+  req.on('data', (chunk) => {
+    if (overflow) return;
+    const room = upload.size - offset - received;
+    if (chunk.length > room) {
+      overflow = true;
+      if (room > 0) partStream.write(chunk.subarray(0, room));
+      received += room;
+      endPart();
+      req.resume();
+      res.setHeader('Upload-Offset', offset + received);
+      res.status(413).json({ error: 'Chunk exceeds declared file size', offset: offset + received });
+      return;
+    }
+    received += chunk.length;
+    if (!partStream.write(chunk)) req.pause();
+  });
+  partStream.on('drain', () => req.resume());
+  req.on('end', endPart);
 
-  console.log(`Starting High-Speed Transfer: File ID ${fileId} (${fileSize} bytes)`);
+  // Whatever reached disk before a drop is kept; the client resumes from GET's offset
+  req.on('close', () => {
+    if (!req.complete) endPart();
+  });
 
-  // Handle cleanup on response finish
-  const cleanup = () => {
-    trackDownloadComplete(sessionId, fileId);
-  };
+  partStream.on('close', () => {
+    activeChunkWrites.delete(uploadId);
+    if (res.headersSent || !req.complete) return;
 
-  const handleError = (error) => {
-    console.error(`Download error for ${fileId}:`, error);
-    trackDownloadFailure(sessionId, fileId, error.message || 'Unknown error');
-  };
+    const newOffset = getPartialOffset(sessionId, uploadId);
+    res.setHeader('Upload-Offset', newOffset);
+    res.json({ offset: newOffset, complete: newOffset === upload.size });
+  });
 
-  res.on('finish', cleanup);
-  res.on('error', handleError);
+  partStream.on('error', (err) => {
+    console.error(`Chunk write error for upload ${uploadId}:`, err);
+    activeChunkWrites.delete(uploadId);
+    if (res.headersSent) return;
+    if (isDiskFull(err)) {
+      // Keep whole chunks only; the client resumes from here once there's room again
+      res.setHeader('Upload-Offset', getPartialOffset(sessionId, uploadId));
+      return rejectLowDisk(res);
+    }
+    res.status(500).json({ error: 'Chunk write failed: ' + err.message });
+  });
+});
 
-  if (range) {
-    // Handle range requests for resume support
-    const parts = range.replace(/bytes=/, "").split("-");
-    const start = parseInt(parts[0], 10);
-    const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
-    const chunksize = (end - start) + 1;
-
-    const fileStream = fs.createReadStream(filePath, { start, end, highWaterMark: 1024 * 1024 }); // 1MB buffer
-
-    res.writeHead(206, {
-      'Content-Range': `bytes ${start}-${end}/${fileSize}`,
-      'Accept-Ranges': 'bytes',
-      'Content-Length': chunksize,
-      'Content-Type': file.mimetype || 'application/octet-stream',
-      'Content-Disposition': `attachment; filename="${encodeURIComponent(file.originalName)}"`
-    });
+app.post('/api/upload/:sessionId/:uploadId/complete', requireUploadAccess, async (req, res) => {
+  const found = getResumableUpload(req, res);
+  if (!found) return;
 
-    // High-performance piping
-    fileStream.pipe(res);
-    fileStream.on('error', handleError);
-  } else {
-    // Full file download
-    const fileStream = fs.createReadStream(filePath, { highWaterMark: 1024 * 1024 }); // 1MB buffer
+  const { sessionId, uploadId } = req.params;
+  const { session, upload } = found;
+  const offset = getPartialOffset(sessionId, uploadId);
 
-    res.writeHead(200, {
-      'Content-Length': fileSize,
-      'Content-Type': file.mimetype || 'application/octet-stream',
-      'Content-Disposition': `attachment; filename="${encodeURIComponent(file.originalName)}"`
-    });
+  if (activeChunkWrites.has(uploadId) || offset !== upload.size) {
+    res.setHeader('Upload-Offset', offset);
+    return res.status(409).json({ error: 'Upload is not complete', offset, size: upload.size });
+  }
+
+  const fileId = uuidv4();
+  const ext = session.encrypted ? '.enc' : path.extname(upload.originalName);
+  const filename = `${Date.now()}-${uuidv4()}${ext}`;
+  const key = sessionFileKey(sessionId, filename);
 
-    fileStream.pipe(res);
-    fileStream.on('error', handleError);
+  // Hold the upload while it moves into quarantine so chunks/complete can't race it
+  activeChunkWrites.add(uploadId);
+  try {
+    await fs.promises.rename(getPartialPath(sessionId, uploadId), getStagingPath(sessionId, filename));
+  } catch (err) {
+    console.error(`Finishing resumable upload ${uploadId} failed:`, err);
+    return res.status(500).json({ error: 'Upload failed: ' + err.message });
+  } finally {
+    activeChunkWrites.delete(uploadId);
   }
+
+  const file = {
+    id: fileId,
+    originalName: session.encrypted ? `${fileId}.enc` : upload.originalName,
+    folder: upload.folder || '',
+    filename,
+    key,
+    size: upload.size,
+    mimetype: upload.mimetype,
+    uploadedBy: upload.uploadedBy,
+    uploaderKey: upload.uploaderKey,
+    ...getUploadLifetime(upload),
+    uploadedAt: Date.now()
+  };
+
+  delete session.uploads[uploadId];
+  sessions.set(sessionId, session);
+  quarantineSessionFiles(sessionId, [file]);
+
+  console.log(`Resumable upload ${uploadId} completed in session ${sessionId}`);
+
+  res.json({
+    message: 'File uploaded successfully',
+    file: {
+      id: file.id,
+      name: file.originalName,
+      path: joinFolderPath(file.folder, file.originalName),
+      size: file.size,
+      status: 'scanning'
+    }
+  });
 });
 
-// Download all files as ZIP
-app.get('/api/download-all/:sessionId', (req, res) => {
-  const { sessionId } = req.params;
+// Get session info
+app.get('/api/session/:sessionId', (req, res) => {
+  const sessionId = req.params.sessionId;
   const session = sessions.get(sessionId);
 
   if (!session) {
-    console.log(`Download all failed: Session ${sessionId} not found`);
     return res.status(404).json({ error: 'Session not found' });
   }
 
-  if (!session.files || session.files.length === 0) {
-    console.log(`Download all failed: No files in session ${sessionId}`);
-    return res.status(400).json({ error: 'No files to download' });
-  }
-
-  console.log(`Starting download all for session ${sessionId} (${session.files.length} files)`);
-
-  const archive = archiver('zip', {
-    zlib: { level: 5 } // Balanced compression
+  res.json({
+    sessionId: session.id,
+    senderName: session.senderName,
+    fileCount: session.files.length,
+    connectedClients: session.connectedClients,
+    requiresPassword: !!session.passwordHash,
+    allowReceiverUploads: !!session.allowReceiverUploads,
+    expiresAt: getSessionExpiry(session),
+    encrypted: !!session.encrypted
   });
+});
 
-  // Set response headers
-  res.attachment(`${session.senderName || 'heksta'}-all-files.zip`);
-
-  archive.on('error', (err) => {
-    console.error(`Archive error for session ${sessionId}:`, err);
-    if (!res.headersSent) {
-      res.status(500).send({ error: 'Failed to create zip archive: ' + err.message });
-    }
-  });
+// QR code for the join link (global by default, `link=local` for the LAN one)
+app.get('/api/session/:sessionId/qr', async (req, res) => {
+  const session = sessions.get(req.params.sessionId);
+  if (!session || getSessionExpiry(session) <= Date.now()) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  if (session.encrypted) {
+    // The key is in the link fragment, which never reaches us, so our link wouldn't open the files
+    return res.status(409).json({ error: 'Encrypted sessions must draw their QR code on the client' });
+  }
 
-  archive.on('warning', (err) => {
-    if (err.code === 'ENOENT') {
-      console.warn(`Archive warning for session ${sessionId}:`, err);
-    } else {
-      console.error(`Archive error for session ${sessionId}:`, err);
-      throw err;
-    }
-  });
+  const format = req.query.format || 'png';
+  if (!QR_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of ${QR_FORMATS.join(', ')}` });
+  }
+  const linkType = req.query.link || 'global';
+  if (linkType !== 'global' && linkType !== 'local') {
+    return res.status(400).json({ error: 'link must be global or local' });
+  }
+  const size = req.query.size === undefined ? QR_DEFAULT_SIZE : Number(req.query.size);
+  if (!Number.isInteger(size) || size < QR_MIN_SIZE || size > QR_MAX_SIZE) {
+    return res.status(400).json({ error: `size must be a whole number from ${QR_MIN_SIZE} to ${QR_MAX_SIZE}` });
+  }
 
-  // Stream archive to response
-  archive.pipe(res);
+  const links = getShareLinks(session.id);
+  const link = linkType === 'local' ? links.localJoinLink : links.joinLink;
+  const options = { width: size, margin: 2, errorCorrectionLevel: 'M' };
 
-  // Add each file to the archive
-  session.files.forEach(file => {
-    if (fs.existsSync(file.path)) {
-      archive.file(file.path, { name: file.originalName });
+  try {
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    res.setHeader('X-Join-Link', link);
+    if (format === 'svg') {
+      res.type('image/svg+xml').send(await QRCode.toString(link, { ...options, type: 'svg' }));
     } else {
-      console.warn(`File not found for zip: File ID ${file.id}`);
+      res.type('image/png').send(await QRCode.toBuffer(link, { ...options, type: 'png' }));
     }
-  });
+  } catch (err) {
+    console.error('QR code error:', err);
+    res.status(500).json({ error: 'Failed to generate QR code' });
+  }
+});
+
+// Open Graph image for link previews: sender, file count and total size
+// (plus file names only if the sender turned showFileNames on)
+app.get('/api/session/:sessionId/card.png', (req, res) => {
+  const session = sessions.get(req.params.sessionId);
+  if (!session || getSessionExpiry(session) <= Date.now()) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
 
-  archive.finalize();
+  try {
+    const preview = getSharePreview(session);
+    const card = renderShareCard({
+      ...preview,
+      joinLink: session.encrypted ? null : getShareLinks(session.id).joinLink
+    });
+    res.setHeader('Cache-Control', 'public, max-age=300');
+    res.type('image/png').send(card);
+  } catch (err) {
+    console.error('Share card error:', err);
+    res.status(500).json({ error: 'Failed to generate share card' });
+  }
 });
 
-// Close session
-app.post('/api/session/:sessionId/close', (req, res) => {
+// Verify session password
+app.post('/api/session/:sessionId/verify', (req, res) => {
   const sessionId = req.params.sessionId;
+  const { password } = req.body;
   const session = sessions.get(sessionId);
 
   if (!session) {
     return res.status(404).json({ error: 'Session not found' });
   }
 
-  session.active = false;
-  sessions.set(sessionId, session);
+  const limiterKey = `${sessionId}:${req.ip}`;
+  const lockedFor = verifyLimiter.check(limiterKey);
+  if (lockedFor) {
+    res.setHeader('Retry-After', Math.ceil(lockedFor / 1000));
+    return res.status(429).json({ error: 'Too many attempts, try again later' });
+  }
 
-  // Clean up files
-  const uploadDir = path.join(__dirname, 'uploads', sessionId);
-  if (fs.existsSync(uploadDir)) {
-    fs.rmSync(uploadDir, { recursive: true, force: true });
+  if (session.passwordHash && !verifyPassword(password, session.passwordHash)) {
+    const attemptsRemaining = verifyLimiter.fail(limiterKey);
+    console.log(`Wrong password for session ${sessionId} (${attemptsRemaining} attempts left)`);
+    return res.status(401).json({ error: 'Invalid password', attemptsRemaining });
   }
 
-  // Notify clients
-  broadcastToSession(sessionId, {
-    type: 'session_closed'
-  });
+  verifyLimiter.reset(limiterKey);
 
-  res.json({ message: 'Session closed successfully' });
+  res.json({
+    verified: true,
+    accessToken: issueAccessToken(session),
+    expiresIn: getSessionExpiry(session) - Date.now()
+  });
 });
 
-// ── WHISPER MODE FILE UPLOAD ──
-const whisperUpload = multer({
-  storage: multer.diskStorage({
-    destination: (req, file, cb) => {
-      const dir = path.join(__dirname, 'uploads', '_whisper');
-      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-      cb(null, dir);
-    },
-    filename: (req, file, cb) => cb(null, `${uuidv4()}-${Date.now()}${path.extname(file.originalname)}`)
-  }),
-  limits: { fileSize: 5 * 1024 * 1024 * 1024 } // 5GB limit for whispers
-}).single('file');
+// Get files list
+app.get('/api/session/:sessionId/files', requireSessionAccess, (req, res) => {
+  const sessionId = req.params.sessionId;
+  const session = sessions.get(sessionId);
 
-app.post('/api/whisper/upload', (req, res) => {
-  whisperUpload(req, res, (err) => {
-    if (err) return res.status(500).json({ error: 'Upload failed: ' + err.message });
-    if (!req.file) return res.status(400).json({ error: 'No file provided' });
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
 
-    const fileId = uuidv4();
-    whisperFiles.set(fileId, {
-      path: req.file.path,
-      originalName: req.file.originalname,
-      mimetype: req.file.mimetype,
-      size: req.file.size,
-      uploadedBy: req.body.senderId || 'unknown',
-      roomId: req.body.roomId || 'global',
-      uploadedAt: Date.now()
-    });
+  const files = getSessionFilesList(session);
+  const response = {
+    files,
+    // The same files nested by folder
+    tree: buildFileTree(files),
+    expiresAt: getSessionExpiry(session),
+    expiresIn: Math.max(0, getSessionExpiry(session) - Date.now())
+  };
 
-    // Auto-delete after 24 hours
-    setTimeout(() => {
-      const f = whisperFiles.get(fileId);
-      if (f && fs.existsSync(f.path)) fs.unlinkSync(f.path);
-      whisperFiles.delete(fileId);
-    }, 24 * 60 * 60 * 1000);
+  if (session.encrypted) {
+    response.encrypted = true;
+    response.manifest = session.manifest;
+  }
 
-    console.log(`Whisper file uploaded: File ID ${fileId} (${req.file.size} bytes)`);
-    res.json({ fileId, fileName: req.file.originalname, fileSize: req.file.size, mimeType: req.file.mimetype });
+  res.json(response);
+});
+
+// Sealed manifest (file names, sizes, types) for encrypted sessions. Opaque to the server.
+app.put('/api/session/:sessionId/manifest', requireSessionOwner, express.raw({ type: '*/*', limit: E2E_MANIFEST_LIMIT }), (req, res) => {
+  const sessionId = req.params.sessionId;
+  const session = sessions.get(sessionId);
+
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+
+  if (!session.encrypted) {
+    return res.status(400).json({ error: 'Session is not encrypted' });
+  }
+
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({ error: 'Manifest body is required' });
+  }
+
+  session.manifest = req.body.toString('base64');
+  sessions.set(sessionId, session);
+
+  broadcastToSession(sessionId, {
+    type: 'manifest_updated',
+    manifest: session.manifest
   });
+
+  res.json({ message: 'Manifest updated' });
 });
 
-// Serve a whisper file
-app.get('/api/whisper/file/:fileId', (req, res) => {
-  const file = whisperFiles.get(req.params.fileId);
-  if (!file || !fs.existsSync(file.path)) return res.status(404).json({ error: 'File not found' });
+app.get('/api/session/:sessionId/manifest', requireSessionAccess, (req, res) => {
+  const session = sessions.get(req.params.sessionId);
 
-  res.setHeader('Content-Disposition', `inline; filename="${encodeURIComponent(file.originalName)}"`);
-  res.setHeader('Content-Type', file.mimetype || 'application/octet-stream');
-  res.setHeader('Content-Length', file.size);
-  fs.createReadStream(file.path).pipe(res);
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+
+  if (!session.encrypted || !session.manifest) {
+    return res.status(404).json({ error: 'Manifest not found' });
+  }
+
+  const manifest = Buffer.from(session.manifest, 'base64');
+  res.setHeader('Content-Type', 'application/octet-stream');
+  res.setHeader('Content-Length', manifest.length);
+  res.setHeader('Cache-Control', 'no-store');
+  res.end(manifest);
 });
 
+// Stream file download
+app.get('/api/download/:sessionId/:fileId', requireSessionAccess, async (req, res) => {
+  const { sessionId, fileId } = req.params;
+  const session = sessions.get(sessionId);
 
-server.on('upgrade', (request, socket, head) => {
-  const url = new URL(request.url, `http://${request.headers.host}`);
-  const pathname = url.pathname;
+  if (!session) {
+    console.log(`Download failed: Session ${sessionId} not found`);
+    return res.status(404).json({ error: 'Session not found' });
+  }
 
-  if (pathname === '/whisper') {
-    whisperWss.handleUpgrade(request, socket, head, (ws) => {
-      whisperWss.emit('connection', ws, request);
-    });
-  } else if (pathname === '/') {
-    // Main file-sharing websocket
-    wss.handleUpgrade(request, socket, head, (ws) => {
-      wss.emit('connection', ws, request);
-    });
-  } else {
-    // If it doesn't match our routes, destroy the socket to prevent hanging
-    socket.destroy();
+  const file = session.files.find(f => f.id === fileId);
+  if (!file) {
+    console.log(`Download failed: File ${fileId} not found in session ${sessionId}`);
+    return res.status(404).json({ error: 'File not found' });
+  }
+
+  if (!canStartDownload(session, file)) {
+    console.log(`Download refused: File ${fileId} expired or out of downloads`);
+    return res.status(410).json({ error: 'File has expired or reached its download limit' });
+  }
+
+  const inFlight = downloadStats.get(`${sessionId}-${fileId}`);
+  if (inFlight && inFlight.active >= MAX_DOWNLOADS_PER_FILE) {
+    console.log(`Download refused: File ${fileId} already has ${inFlight.active} downloads running`);
+    res.setHeader('Retry-After', 10);
+    return res.status(429).json({ error: 'Too many downloads of this file at once, try again shortly' });
+  }
+
+  // Check if file exists
+  let stat;
+  try {
+    stat = await fileStorage.stat(file.key);
+  } catch (err) {
+    console.error(`Download failed: storage error for File ID ${fileId}:`, err);
+    return res.status(500).json({ error: 'Storage unavailable' });
+  }
+  if (!stat) {
+    console.log(`Download failed: File ID ${fileId} not found on server`);
+    trackDownloadFailure(sessionId, fileId, 'File not found on server');
+    return res.status(404).json({ error: 'File not found on server' });
   }
+
+  const clientId = req.query.clientId || 'unknown';
+  res.set('Content-Disposition', contentDisposition(file.originalName));
+  res.set('Content-Security-Policy', UPLOAD_CSP);
+  res.set('X-Content-Type-Options', 'nosniff');
+
+  await serveRanges(req, res, {
+    size: stat.size,
+    contentType: file.mimetype || 'application/octet-stream',
+    validators: {
+      etag: makeEtag(file.id, stat.size, stat.mtimeMs),
+      lastModified: toHttpTime(stat.mtimeMs)
+    },
+    open: (range) => fileStorage.getStream(file.key, range),
+    track: {
+      start: () => {
+        trackDownloadStart(sessionId, fileId, clientId);
+        console.log(`Starting High-Speed Transfer: File ID ${fileId} (${stat.size} bytes)`);
+      },
+      complete: () => trackDownloadComplete(sessionId, fileId),
+      partial: () => trackDownloadPartial(sessionId, fileId),
+      failure: (error) => {
+        console.error(`Download error for ${fileId}:`, error);
+        trackDownloadFailure(sessionId, fileId, error.message || 'Unknown error');
+      }
+    }
+  });
 });
 
-// Main File Sharing WebSocket connection handling
-wss.on('connection', (ws, req) => {
-  const url = new URL(req.url, `http://${req.headers.host}`);
-  const sessionId = url.searchParams.get('sessionId');
-  const clientId = uuidv4();
+// Preview of one file: a PNG thumbnail (images, first page of PDFs), the SVG itself
+// or a JSON text snippet. Previews don't count as downloads, so files that burn after
+// one download never get one.
+app.get('/api/session/:sessionId/files/:fileId/preview', requireSessionAccess, async (req, res) => {
+  const { sessionId, fileId } = req.params;
+  const session = sessions.get(sessionId);
 
-  if (!sessionId || !sessions.has(sessionId)) {
-    ws.close(1008, 'Invalid session');
-    return;
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+
+  const file = session.files.find(f => f.id === fileId);
+  if (!file) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+  if (session.encrypted) {
+    return res.status(400).json({ error: 'Encrypted files can only be previewed after decrypting them' });
+  }
+  if (getFileLimits(session, file).burnAfterDownload) {
+    return res.status(403).json({ error: 'Burn-after-download files have no preview' });
+  }
+  if (!canStartDownload(session, file)) {
+    return res.status(410).json({ error: 'File has expired or reached its download limit' });
+  }
+
+  let preview;
+  try {
+    preview = await getFilePreview(session, file);
+  } catch (err) {
+    console.error(`Preview error for ${fileId}:`, err);
+    return res.status(500).json({ error: 'Failed to generate preview' });
+  }
+  if (!preview.key) {
+    return res.status(404).json({ error: 'No preview available for this file', reason: preview.reason });
   }
 
+  const validators = {
+    etag: makeEtag(`${file.id}-preview`, preview.size, preview.createdAt),
+    lastModified: toHttpTime(preview.createdAt)
+  };
+  res.setHeader('ETag', validators.etag);
+  res.setHeader('Last-Modified', new Date(validators.lastModified).toUTCString());
+  res.setHeader('Cache-Control', 'private, max-age=3600');
+  res.setHeader('Content-Security-Policy', PREVIEW_CSP);
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.setHeader('Content-Disposition', contentDisposition(`preview.${preview.key.split('.').pop()}`, 'inline'));
+
+  const status = checkPreconditions(req, validators);
+  if (status) {
+    return res.status(status).end();
+  }
+
+  res.setHeader('Content-Type', preview.contentType);
+  res.setHeader('Content-Length', preview.size);
+  if (req.method === 'HEAD') {
+    return res.end();
+  }
+
+  try {
+    await pipeline(await fileStorage.getStream(preview.key), res);
+  } catch (err) {
+    // The client hanging up (often right after the last byte) isn't our error
+    if (err.code === 'ERR_STREAM_PREMATURE_CLOSE') return;
+    console.error(`Preview stream error for ${fileId}:`, err.message);
+    res.destroy(err);
+  }
+});
+
+// Download several files as one archive, laid out in their folders.
+//   ?files=id1,id2          a subset (default: every file)
+//   ?folder=a/b             just that folder (and below), as b/...
+//   ?format=zip|tar|tar.gz  (default zip)
+//   ?compression=store|deflate  for zip; encrypted sessions default to store
+// Stored zips and plain tars have a known length and can be resumed with Range.
+app.get('/api/download-all/:sessionId', requireSessionAccess, async (req, res) => {
+  const { sessionId } = req.params;
   const session = sessions.get(sessionId);
-  session.connectedClients += 1;
-  sessions.set(sessionId, session);
 
-  ws.sessionId = sessionId;
-  ws.clientId = clientId;
+  if (!session) {
+    console.log(`Download all failed: Session ${sessionId} not found`);
+    return res.status(404).json({ error: 'Session not found' });
+  }
 
-  // Send current session info
-  ws.send(JSON.stringify({
-    type: 'connected',
-    clientId,
-    sessionInfo: {
-      sessionId: session.id,
-      senderName: session.senderName,
-      fileCount: session.files.length,
-      connectedClients: session.connectedClients
+  const format = req.query.format || 'zip';
+  const compression = req.query.compression || (session.encrypted ? 'store' : 'deflate');
+  if (!ARCHIVE_FORMATS.includes(format) || !['store', 'deflate'].includes(compression)) {
+    return res.status(400).json({ error: `format must be one of ${ARCHIVE_FORMATS.join(', ')}; compression store or deflate` });
+  }
+
+  // Socket files only ever pass through the relay, so there's nothing here to archive;
+  // like expired or used-up files they're left out and listed in X-Archive-Skipped
+  const skipped = [];
+  let candidates = session.files || [];
+  if (req.query.files) {
+    const requested = [...new Set(String(req.query.files).split(',').map(id => id.trim()).filter(Boolean))];
+    const socketFileIds = (session.socketFiles || []).map(f => f.id);
+    const unknown = requested.filter(id => !candidates.some(f => f.id === id) && !socketFileIds.includes(id));
+    if (unknown.length > 0) {
+      return res.status(404).json({ error: 'Files not found', fileIds: unknown });
+    }
+    skipped.push(...requested.filter(id => socketFileIds.includes(id)));
+    candidates = candidates.filter(f => requested.includes(f.id));
+  }
+
+  // Per-folder archive: paths inside it start at the folder itself
+  const folder = req.query.folder ? normalizeRelativePath(String(req.query.folder)) : '';
+  if (folder === null) {
+    return res.status(400).json({ error: 'Invalid folder' });
+  }
+  if (folder) {
+    candidates = candidates.filter(f => isInFolder(f.folder, folder));
+    if (candidates.length === 0) {
+      return res.status(404).json({ error: 'Folder not found' });
+    }
+  }
+  const { folder: folderParent, name: folderName } = splitRelativePath(folder);
+  const archivePath = (file) => {
+    const fullPath = joinFolderPath(file.folder, file.originalName);
+    return folderParent ? fullPath.slice(folderParent.length + 1) : fullPath;
+  };
+
+  // Expired or used-up files are left out; the rest count as downloads once the archive is sent
+  const selected = [];
+  candidates.forEach(file => (canStartDownload(session, file) ? selected.push(file) : skipped.push(file.id)));
+
+  let stats;
+  try {
+    stats = await Promise.all(selected.map(file => fileStorage.stat(file.key)));
+  } catch (err) {
+    console.error(`Download all failed: storage error for session ${sessionId}:`, err);
+    return res.status(500).json({ error: 'Storage unavailable' });
+  }
+  const files = selected.filter((file, i) => {
+    if (stats[i]) return true;
+    console.warn(`File not found for archive: File ID ${file.id}`);
+    skipped.push(file.id);
+    return false;
+  });
+  const sizes = new Map(files.map(file => [file.id, stats[selected.indexOf(file)]]));
+
+  if (files.length === 0) {
+    console.log(`Download all failed: No files in session ${sessionId}`);
+    return res.status(400).json({ error: 'No files to download' });
+  }
+
+  const names = uniqueArchiveNames(files.map(archivePath));
+  const entries = files.map((file, i) => ({
+    id: file.id,
+    name: names[i],
+    size: sizes.get(file.id).size,
+    mtimeMs: file.uploadedAt || sizes.get(file.id).mtimeMs,
+    mimetype: file.mimetype,
+    // CRCs are remembered on the file so the next zip of it (or a resume) can seek
+    crc32: file.crc32 === undefined ? null : file.crc32,
+    crcState: file.crcProgress ? { ...file.crcProgress } : { bytes: 0, crc: 0 },
+    open: (range) => fileStorage.getStream(file.key, range),
+    onCrc: (crc) => {
+      file.crc32 = crc;
+      delete file.crcProgress;
+      sessions.set(sessionId, session);
+    },
+    onCrcProgress: (state) => {
+      if (!file.crcProgress || state.bytes > file.crcProgress.bytes) {
+        file.crcProgress = state;
+        sessions.set(sessionId, session);
+      }
     }
   }));
 
-  // Notify sender of new connection
+  // Receivers need the sealed manifest to name the decrypted files
+  if (session.encrypted && session.manifest) {
+    entries.push(bufferEntry('manifest.enc', Buffer.from(session.manifest, 'base64'), session.createdAt));
+  }
+
+  const extension = format === 'zip' ? 'zip' : format;
+  const archiveName = folderName || `${session.senderName || 'heksta'}-all-files`;
+  res.set('Content-Disposition', contentDisposition(`${archiveName}.${extension}`));
+  if (skipped.length > 0) res.set('X-Archive-Skipped', skipped.join(','));
+
+  console.log(`Starting ${format} (${compression}) download for session ${sessionId} (${files.length} files)`);
+
+  const clientId = req.query.clientId || 'unknown';
+  const track = {
+    start: () => files.forEach(file => trackDownloadStart(sessionId, file.id, clientId)),
+    complete: () => files.forEach(file => trackDownloadComplete(sessionId, file.id)),
+    partial: () => files.forEach(file => trackDownloadPartial(sessionId, file.id)),
+    failure: (error) => {
+      console.error(`Archive error for session ${sessionId}:`, error.message);
+      files.forEach(file => trackDownloadFailure(sessionId, file.id, error.message || 'Unknown error'));
+    }
+  };
+
+  if (format === 'zip' && compression === 'deflate') {
+    return streamDeflatedZip(req, res, entries, track);
+  }
+
+  const plan = format === 'zip' ? buildZipPlan(entries) : buildTarPlan(entries);
+
+  if (format === 'tar.gz') {
+    res.set('Content-Type', 'application/gzip');
+    return streamArchive(req, res, readPlan(plan).pipe(zlib.createGzip()), track);
+  }
+
+  await serveRanges(req, res, {
+    size: plan.length,
+    contentType: format === 'zip' ? 'application/zip' : 'application/x-tar',
+    validators: {
+      etag: archiveEtag(format, entries),
+      lastModified: toHttpTime(Math.max(...entries.map(entry => entry.mtimeMs || 0)))
+    },
+    open: async (range) => readPlan(plan, range),
+    track
+  });
+});
+
+// Update session settings (owner only)
+app.post('/api/session/:sessionId/settings', requireSessionOwner, (req, res) => {
+  const sessionId = req.params.sessionId;
+  const session = sessions.get(sessionId);
+
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+
+  if (typeof req.body.allowReceiverUploads === 'boolean') {
+    session.allowReceiverUploads = req.body.allowReceiverUploads;
+  }
+  if (typeof req.body.showFileNames === 'boolean') {
+    session.showFileNames = req.body.showFileNames;
+  }
+  sessions.set(sessionId, session);
+
   broadcastToSession(sessionId, {
-    type: 'client_connected',
-    clientId,
-    connectedClients: session.connectedClients
+    type: 'session_updated',
+    allowReceiverUploads: session.allowReceiverUploads
   });
 
-  ws.on('message', (data) => {
-    try {
-      const message = JSON.parse(data);
+  res.json({ allowReceiverUploads: session.allowReceiverUploads, showFileNames: !!session.showFileNames });
+});
 
-      switch (message.type) {
-        case 'announce_file': {
-          const { fileId, fileName, fileSize, fileType } = message;
-          const session = sessions.get(sessionId);
-          if (session) {
-            if (!session.socketFiles) session.socketFiles = [];
+// Close session
+app.post('/api/session/:sessionId/close', requireSessionOwner, (req, res) => {
+  const sessionId = req.params.sessionId;
+  const session = sessions.get(sessionId);
 
-            // Add to session socket files if not already there
-            if (!session.socketFiles.find(f => f.id === fileId)) {
-              session.socketFiles.push({
-                id: fileId,
-                name: fileName,
-                size: fileSize,
-                type: fileType,
-                isSocketFile: true,
-                announcedAt: Date.now()
-              });
-
-              // Notify others that a new file is being shared via socket
-              broadcastToSession(sessionId, {
-                type: 'file_announced',
-                file: {
-                  id: fileId,
-                  name: fileName,
-                  size: fileSize,
-                  type: fileType,
-                  isSocketFile: true
-                }
-              }, clientId);
-            }
-          }
-          break;
-        }
-        case 'broadcast_file_chunk': {
-          const { chunk, fileId, isLast, fileName, fileType, fileSize, chunkIndex, totalChunks } = message;
-          // Relay to ALL OTHER clients in the session
-          // We can relay binary data if chunk is an ArrayBuffer/Blob, 
-          // but for JSON compatibility we might stick to base64 or send raw if it's a binary message.
-          // For now, let's just relay whatever we got.
-          broadcastToSession(sessionId, {
-            type: 'broadcast_file_chunk',
-            from: clientId,
-            chunk,
-            fileId,
-            isLast,
-            fileName,
-            fileType,
-            fileSize,
-            chunkIndex,
-            totalChunks,
-            timestamp: Date.now()
-          }, clientId); // Exclude sender
-          break;
-        }
-        // ... existing main wss logic could follow if any
-      }
-    } catch (e) {
-      // Not JSON or other error
-    }
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+
+  closeSession(sessionId, 'closed');
+
+  res.json({ message: 'Session closed successfully' });
+});
+
+// ── WHISPER ROOMS ──
+// Rooms are created here and joined over /whisper with `join { roomId, password | invite | ownerToken }`.
+// The owner token works like a session's: shown once, it lets the owner invite, kick, ban and delete.
+app.post('/api/whisper/rooms', (req, res) => {
+  const retryInMs = roomCreationLimiter.take(req.ip);
+  if (retryInMs) {
+    res.setHeader('Retry-After', Math.ceil(retryInMs / 1000));
+    return res.status(429).json({
+      error: `Too many rooms created, try again in ${Math.ceil(retryInMs / 60000)} min`,
+      retryAfter: Math.ceil(retryInMs / 1000)
+    });
+  }
+
+  const { name, password = '', inviteOnly = false, public: listed = false } = req.body || {};
+  if (typeof password !== 'string') {
+    return res.status(400).json({ error: 'password must be a string' });
+  }
+  const { room, ownerToken } = createRoomRecord({ name, password, inviteOnly, public: listed });
+  whisperRooms.set(room.id, room);
+
+  console.log(`Whisper room created: ${room.id}`);
+  res.status(201).json({
+    roomId: room.id,
+    name: room.name,
+    ownerToken, // Keep secret: join with it to moderate the room
+    public: room.public,
+    inviteOnly: room.inviteOnly,
+    passwordProtected: !!room.passwordHash
   });
+});
+
+// Public rooms only; the rest are reachable by ID (and password or invite) alone
+app.get('/api/whisper/rooms', async (req, res) => {
+  try {
+    const listed = [LOBBY_ROOM, ...whisperRooms.values()].filter(room => room && room.public);
+    const rooms = await Promise.all(listed.map(async room => ({
+      roomId: room.id,
+      name: room.name,
+      passwordProtected: !!room.passwordHash,
+      inviteOnly: room.inviteOnly,
+      users: (await pubsub.presence.list(room.id)).length
+    })));
+    res.json({ rooms: rooms.sort((a, b) => b.users - a.users) });
+  } catch (err) {
+    console.error('Whisper room listing failed:', err);
+    res.status(500).json({ error: 'Failed to list rooms: ' + err.message });
+  }
+});
+
+const requireRoomOwner = (req, res, next) => {
+  const room = whisperRooms.get(req.params.roomId);
+  if (!room) {
+    return res.status(404).json({ error: 'Room not found' });
+  }
+  if (!isRoomOwner(room, getOwnerToken(req))) {
+    return res.status(403).json({ error: 'Owner token required' });
+  }
+  req.room = room;
+  next();
+};
+
+// One-time invite, good for INVITE_TTL; the owner passes it on as `invite` for join
+app.post('/api/whisper/rooms/:roomId/invites', requireRoomOwner, (req, res) => {
+  const created = createInvite(req.room);
+  if (!created) {
+    return res.status(429).json({ error: 'Too many open invites for this room' });
+  }
+  whisperRooms.set(req.room.id, req.room);
+  res.status(201).json(created);
+});
+
+// Everyone in it is removed (removed_from_room, reason room_deleted) and its files go too
+app.delete('/api/whisper/rooms/:roomId', requireRoomOwner, async (req, res) => {
+  const roomId = req.room.id;
+  whisperRooms.delete(roomId);
+  try {
+    const members = await pubsub.presence.list(roomId);
+    members.forEach(member => evictWhisperUser(member.id, roomId, 'room_deleted'));
+  } catch (err) {
+    console.error(`Whisper room ${roomId} eviction failed:`, err.message);
+  }
+  [whisperFiles, whisperQuarantine].forEach(files => files.forEach((file, fileId) => {
+    if (file.roomId !== roomId) return;
+    files.delete(fileId);
+    removeStoredFile(file.key);
+  }));
+
+  console.log(`Whisper room deleted: ${roomId}`);
+  res.json({ message: 'Room deleted' });
+});
+
+// Whisper files need the fileToken from `connected`, held by someone still in its room
+const requireWhisperRoomAccess = async (req, res, next) => {
+  const claims = tokenSigner.verify(getRequestToken(req));
+  if (!claims || !claims.room || !claims.sub) {
+    return res.status(401).json({ error: 'Room token required' });
+  }
+  try {
+    const members = getWhisperRoom(claims.room) ? await pubsub.presence.list(claims.room) : [];
+    if (!members.some(member => member.id === claims.sub)) {
+      return res.status(403).json({ error: 'You are not in this room' });
+    }
+  } catch (err) {
+    console.error('Whisper room check failed:', err.message);
+    return res.status(503).json({ error: 'Room membership is unavailable, try again' });
+  }
+  req.whisper = { roomId: claims.room, userId: claims.sub };
+  next();
+};
+
+// ── WHISPER MODE FILE UPLOAD ──
+const whisperUpload = multer({
+  storage: createStagingStorage({
+    destination: (req, file, cb) => {
+      if (!fs.existsSync(WHISPER_DIR)) fs.mkdirSync(WHISPER_DIR, { recursive: true });
+      cb(null, WHISPER_DIR);
+    },
+    // `encrypted` has to come before the file in the form for the name to skip the extension
+    filename: (req, file, cb) => {
+      const ext = req.body.encrypted === 'true' ? '.enc' : path.extname(file.originalname);
+      cb(null, `${uuidv4()}-${Date.now()}${ext}`);
+    }
+  }),
+  limits: { fileSize: 5 * 1024 * 1024 * 1024 } // 5GB limit for whispers
+}).single('file');
+
+// Auto-delete whisper files 24 hours after upload
+function scheduleWhisperExpiry(fileId) {
+  const file = whisperFiles.get(fileId);
+  if (!file) return;
+  const remaining = Math.max(0, file.uploadedAt + WHISPER_FILE_TTL - Date.now());
+  setTimeout(() => {
+    const f = whisperFiles.get(fileId);
+    if (f) removeStoredFile(f.key);
+    whisperFiles.delete(fileId);
+  }, remaining);
+}
+
+app.post('/api/whisper/upload', requireWhisperRoomAccess, (req, res) => {
+  const allowance = getUploadAllowance(req, null);
+  const declaredLength = Number(req.headers['content-length']);
+  if (allowance.bytes === 0 || declaredLength > allowance.bytes + MULTIPART_SLACK) {
+    return rejectOverQuota(res, allowance);
+  }
+  if (!holdDiskSpace(req, res, declaredLength)) return;
+
+  whisperUpload(req, res, async (err) => {
+    if (err && err.code === 'ERR_STREAM_PREMATURE_CLOSE') return console.log('Whisper upload aborted by the client');
+    if (err && isDiskFull(err)) return rejectLowDisk(res);
+    if (err) return res.status(500).json({ error: 'Upload failed: ' + err.message });
+    if (!req.file) return res.status(400).json({ error: 'No file provided' });
+
+    const remaining = getUploadAllowance(req, null);
+    if (req.file.size > remaining.bytes) {
+      fs.unlink(req.file.path, () => {});
+      return rejectOverQuota(res, remaining);
+    }
+
+    // Encrypted uploads are heksta-e2e-v1 blobs; their name and type travel sealed in file_message
+    const encrypted = req.body.encrypted === 'true';
+    if (!encrypted && !WHISPER_ALLOW_PLAINTEXT) {
+      fs.unlink(req.file.path, () => {});
+      return res.status(400).json({ error: `Whisper uploads must be encrypted (${E2E_SCHEME})` });
+    }
+    if (encrypted && !isValidSealedSize(req.file.size)) {
+      fs.unlink(req.file.path, () => {});
+      return res.status(400).json({ error: `Not a valid ${E2E_SCHEME} blob` });
+    }
+
+    const fileId = uuidv4();
+    const originalName = encrypted ? `${fileId}.enc` : decodeUploadName(req.file.originalname);
+    const mimetype = encrypted ? 'application/octet-stream' : req.file.mimetype;
+    // Quarantined until inspected; the room (or `to`, for a private file) then gets
+    // file_ready or file_rejected. Fetching it before then answers 409.
+    whisperQuarantine.set(fileId, {
+      key: whisperFileKey(req.file.filename),
+      originalName,
+      mimetype,
+      encrypted,
+      size: req.file.size,
+      uploadedBy: req.whisper.userId,
+      uploaderKey: getClientKey(req),
+      roomId: req.whisper.roomId,
+      to: req.body.to || null,
+      groupId: req.body.groupId || null, // Shared in a group thread: only its members hear about it
+      uploadedAt: Date.now()
+    });
+    inspectWhisperFile(fileId, req.file.path);
+
+    console.log(`Whisper file uploaded: File ID ${fileId} (${req.file.size} bytes)`);
+    res.json({
+      fileId,
+      fileName: originalName,
+      fileSize: req.file.size,
+      mimeType: mimetype,
+      encrypted,
+      status: 'scanning'
+    });
+  });
+});
+
+// Serve a whisper file
+app.get('/api/whisper/file/:fileId', requireWhisperRoomAccess, async (req, res) => {
+  const file = whisperFiles.get(req.params.fileId) || whisperQuarantine.get(req.params.fileId);
+  // Someone outside its room, thread or conversation gets the same 404 as for a missing file
+  if (file && !(await canSeeWhisperFile(file, req.whisper))) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+  if (whisperQuarantine.has(req.params.fileId)) {
+    return res.status(409).json({ error: 'File is still being scanned', status: 'scanning' });
+  }
+
+  let fileStream;
+  try {
+    if (file && await fileStorage.stat(file.key)) fileStream = await fileStorage.getStream(file.key);
+  } catch (err) {
+    console.error(`Whisper file ${req.params.fileId} unavailable:`, err);
+  }
+  if (!fileStream) return res.status(404).json({ error: 'File not found' });
+
+  const fileId = req.params.fileId;
+  if ((whisperDownloads.get(fileId) || 0) >= MAX_DOWNLOADS_PER_FILE) {
+    fileStream.destroy();
+    res.setHeader('Retry-After', 10);
+    return res.status(429).json({ error: 'Too many downloads of this file at once, try again shortly' });
+  }
+  whisperDownloads.set(fileId, (whisperDownloads.get(fileId) || 0) + 1);
+  res.on('close', () => {
+    const count = whisperDownloads.get(fileId) - 1;
+    if (count > 0) whisperDownloads.set(fileId, count);
+    else whisperDownloads.delete(fileId);
+  });
+
+  res.setHeader('Content-Disposition', contentDisposition(file.originalName, 'inline'));
+  res.setHeader('Content-Type', file.mimetype || 'application/octet-stream');
+  // Served inline from our origin: an HTML or SVG upload must not be able to run script here
+  res.setHeader('Content-Security-Policy', UPLOAD_CSP);
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.setHeader('Content-Length', file.size);
+  fileStream.on('error', (err) => {
+    console.error(`Whisper file stream error for ${req.params.fileId}:`, err);
+    res.destroy(err);
+  });
+  fileStream.pipe(res);
+});
+
+
+// ── OPERATORS ──
+// A view into this server (sessions, whisper rooms, downloads, disk) and a few levers:
+// close a session, delete a whisper file, kick a socket. Socket lists cover this
+// instance; kicks reach whichever instance holds the socket. The dashboard is /admin.
+// `X-Admin-Token: <ADMIN_TOKEN>`; wrong tokens count against the same lockout as session passwords
+const requireAdmin = (req, res, next) => {
+  if (!adminTokenHash) {
+    return res.status(404).json({ error: 'Admin API is disabled' });
+  }
+  const limiterKey = `admin:${req.ip}`;
+  const lockedFor = verifyLimiter.check(limiterKey);
+  if (lockedFor) {
+    res.setHeader('Retry-After', Math.ceil(lockedFor / 1000));
+    return res.status(429).json({ error: 'Too many attempts, try again later' });
+  }
+  if (!secretTokenMatches(req.headers['x-admin-token'], adminTokenHash)) {
+    verifyLimiter.fail(limiterKey);
+    return res.status(401).json({ error: 'Admin token required' });
+  }
+  verifyLimiter.reset(limiterKey);
+  next();
+};
+
+const ADMIN_CSP = "default-src 'none'; script-src 'unsafe-inline'; style-src 'unsafe-inline'; connect-src 'self'; frame-ancestors 'none'";
+
+const describeSessionForAdmin = (session) => {
+  const storedBytes = session.files.reduce((total, file) => total + (file.size || 0), 0);
+  return {
+    id: session.id,
+    senderName: session.senderName,
+    active: session.active,
+    createdAt: session.createdAt,
+    ageMs: Date.now() - session.createdAt,
+    expiresAt: getSessionExpiry(session),
+    fileCount: session.files.length,
+    bytes: storedBytes,
+    pendingBytes: getSessionUsage(session) - storedBytes, // Being scanned or still uploading
+    connectedClients: session.connectedClients,
+    passwordProtected: !!session.passwordHash,
+    encrypted: session.encrypted,
+    allowReceiverUploads: session.allowReceiverUploads
+  };
+};
+
+app.get('/admin', (req, res) => {
+  if (!adminTokenHash) {
+    return res.status(404).json({ error: 'Admin API is disabled' });
+  }
+  res.setHeader('Content-Security-Policy', ADMIN_CSP);
+  res.setHeader('Cache-Control', 'no-store');
+  res.sendFile(path.join(__dirname, 'admin', 'index.html'));
+});
+
+app.get('/api/admin/sessions', requireAdmin, (req, res) => {
+  const list = Array.from(sessions.values())
+    .map(describeSessionForAdmin)
+    .sort((a, b) => b.createdAt - a.createdAt);
+  res.json({
+    sessions: list,
+    active: list.filter(s => s.active).length,
+    total: list.length
+  });
+});
+
+app.get('/api/admin/sessions/:sessionId', requireAdmin, (req, res) => {
+  const session = sessions.get(req.params.sessionId);
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+
+  const sockets = [];
+  wss.clients.forEach(client => {
+    if (client.sessionId === session.id) sockets.push({ clientId: client.clientId, connectedAt: client.connectedAt });
+  });
+
+  res.json({
+    ...describeSessionForAdmin(session),
+    files: session.files.map(file => ({
+      id: file.id,
+      name: file.originalName,
+      path: joinFolderPath(file.folder, file.originalName),
+      size: file.size,
+      mimetype: file.mimetype,
+      uploadedBy: file.uploadedBy,
+      uploadedAt: file.uploadedAt,
+      ...getFileLimits(session, file),
+      downloads: downloadStats.get(`${session.id}-${file.id}`) || null
+    })),
+    quarantined: (session.quarantine || []).map(file => ({ id: file.id, name: file.originalName, size: file.size })),
+    uploads: Object.values(session.uploads || {}).map(upload => ({
+      id: upload.id,
+      name: upload.originalName,
+      size: upload.size,
+      offset: getPartialOffset(session.id, upload.id),
+      startedAt: upload.startedAt
+    })),
+    sockets
+  });
+});
+
+// Same teardown as the owner's close route
+app.post('/api/admin/sessions/:sessionId/close', requireAdmin, (req, res) => {
+  const sessionId = req.params.sessionId;
+  if (!sessions.has(sessionId)) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+
+  closeSession(sessionId, 'closed_by_admin');
+  console.log(`Admin closed session ${sessionId}`);
+  res.json({ message: 'Session closed successfully' });
+});
+
+app.get('/api/admin/whisper', requireAdmin, async (req, res) => {
+  try {
+    const roomIds = await pubsub.presence.rooms();
+    const rooms = await Promise.all(roomIds.map(async roomId => {
+      let localUsers = 0;
+      whisperUsers.forEach(user => { if (user.roomId === roomId) localUsers++; });
+      const room = getWhisperRoom(roomId);
+      return {
+        roomId,
+        name: room ? room.name : null,
+        public: room ? room.public : false,
+        passwordProtected: !!(room && room.passwordHash),
+        inviteOnly: !!(room && room.inviteOnly),
+        users: (await pubsub.presence.list(roomId)).length,
+        localUsers
+      };
+    }));
+
+    const describeFile = (status) => ([fileId, file]) => ({
+      id: fileId,
+      name: file.originalName,
+      size: file.size,
+      mimetype: file.mimetype,
+      roomId: file.roomId,
+      private: !!file.to,
+      uploadedBy: file.uploadedBy,
+      uploadedAt: file.uploadedAt,
+      expiresAt: file.uploadedAt + WHISPER_FILE_TTL,
+      status
+    });
+
+    res.json({
+      rooms: rooms.sort((a, b) => b.users - a.users),
+      groups: await whisperGroups.count(),
+      files: [
+        ...Array.from(whisperQuarantine).map(describeFile('scanning')),
+        ...Array.from(whisperFiles).map(describeFile('ready'))
+      ],
+      sockets: Array.from(whisperUsers.values()).map(user => ({
+        clientId: user.id,
+        name: user.name,
+        roomId: user.roomId,
+        joinedAt: user.joinedAt
+      })),
+      transferPaths: whisperTransferPaths
+    });
+  } catch (err) {
+    console.error('Admin whisper listing failed:', err);
+    res.status(500).json({ error: 'Failed to list whisper rooms: ' + err.message });
+  }
+});
+
+app.delete('/api/admin/whisper/files/:fileId', requireAdmin, (req, res) => {
+  const fileId = req.params.fileId;
+  const file = whisperFiles.get(fileId) || whisperQuarantine.get(fileId);
+  if (!file) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+
+  // A quarantined file is deleted once its inspection finds the record gone
+  whisperFiles.delete(fileId);
+  whisperQuarantine.delete(fileId);
+  removeStoredFile(file.key);
+  notifyWhisperFile(file, { type: 'file_removed', fileId, reason: 'removed_by_admin' });
+
+  console.log(`Admin deleted whisper file ${fileId}`);
+  res.json({ message: 'File deleted' });
+});
+
+app.post('/api/admin/sockets/:clientId/kick', requireAdmin, (req, res) => {
+  const clientId = req.params.clientId;
+  if (kickSocket(clientId)) {
+    console.log(`Admin kicked socket ${clientId}`);
+    return res.json({ message: 'Socket closed' });
+  }
+  if (pubsub.name === 'memory') {
+    return res.status(404).json({ error: 'Socket not found' });
+  }
+  // Not ours; whichever instance holds it closes it
+  pubsub.publish('admin', { kick: clientId }).catch(logPubSubError);
+  res.status(202).json({ message: 'Kick sent to the other instances' });
+});
+
+app.get('/api/admin/disk', requireAdmin, (req, res) => {
+  res.json(diskGuard.getUsage());
+});
+
+
+server.on('upgrade', (request, socket, head) => {
+  const url = new URL(request.url, `http://${request.headers.host}`);
+  const pathname = url.pathname;
+
+  if (pathname === '/whisper') {
+    whisperWss.handleUpgrade(request, socket, head, (ws) => {
+      whisperWss.emit('connection', ws, request);
+    });
+  } else if (pathname === '/') {
+    // Main file-sharing websocket; password-protected sessions need an access token
+    const session = sessions.get(url.searchParams.get('sessionId'));
+    if (!hasSessionAccess(session, getRequestToken(request, url))) {
+      socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+    wss.handleUpgrade(request, socket, head, (ws) => {
+      wss.emit('connection', ws, request);
+    });
+  } else {
+    // If it doesn't match our routes, destroy the socket to prevent hanging
+    socket.destroy();
+  }
+});
+
+// Main File Sharing WebSocket connection handling
+wss.on('connection', (ws, req) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const sessionId = url.searchParams.get('sessionId');
+  const clientId = uuidv4();
+
+  if (!sessionId || !sessions.has(sessionId)) {
+    ws.close(1008, 'Invalid session');
+    return;
+  }
+
+  const session = sessions.get(sessionId);
+  session.connectedClients += 1;
+  sessions.set(sessionId, session);
+
+  ws.sessionId = sessionId;
+  ws.clientId = clientId;
+  ws.connectedAt = Date.now();
+  // Sharing files over the socket follows the same rule as uploads (requireUploadAccess)
+  ws.isOwner = isSessionOwner(session, req.headers['x-owner-token'] || url.searchParams.get('ownerToken'));
+
+  // Send current session info
+  ws.send(JSON.stringify({
+    type: 'connected',
+    clientId,
+    sessionInfo: {
+      sessionId: session.id,
+      senderName: session.senderName,
+      fileCount: session.files.length,
+      connectedClients: session.connectedClients,
+      // Late joiners use this to request the chunks they missed
+      socketFiles: session.socketFiles || []
+    },
+    iceServers: RTC_ICE_SERVERS
+  }));
+
+  // Notify sender of new connection
+  broadcastToSession(sessionId, {
+    type: 'client_connected',
+    clientId,
+    connectedClients: session.connectedClients
+  });
+
+  ws.on('message', (data, isBinary) => {
+    if (isFlooding(ws)) return;
+
+    // Binary chunk frames are relayed as-is (see frames.js)
+    if (isBinary) {
+      const frame = toBuffer(data);
+      const header = parseFrame(frame);
+      if (header && header.kind === FRAME_KIND_BROADCAST && canShareOnSessionSocket(ws)) {
+        // A peer id on a broadcast frame means it's a re-sent chunk for that receiver only
+        const to = header.peerId;
+        if (to) {
+          relayToSessionClient(sessionId, ws, to, setFramePeer(frame, clientId), true);
+        } else {
+          relayToSession(sessionId, ws, setFramePeer(frame, clientId), true);
+        }
+      }
+      return;
+    }
+
+    try {
+      const message = JSON.parse(data);
+
+      switch (message.type) {
+        case 'announce_file': {
+          if (!canShareOnSessionSocket(ws)) {
+            sendSessionError(ws, message.type, 'not_allowed', 'Only the session owner can share files');
+            break;
+          }
+          const session = sessions.get(sessionId);
+          if (!session) break;
+          // Encrypted sessions keep names and types sealed: in `sealed` or the manifest
+          if (session.encrypted && (message.fileName !== undefined || message.fileType !== undefined)) {
+            sendSessionError(ws, message.type, 'e2e_required', `Encrypted sessions only take a sealed name and type (${E2E_SCHEME})`);
+            break;
+          }
+          const announced = parseFileAnnouncement(message, session.encrypted);
+          if (!announced) {
+            sendSessionError(ws, message.type, 'invalid_file', session.encrypted
+              ? 'fileId and fileSize are required, and sealed must be base64'
+              : 'fileId, fileName and fileSize are required');
+            break;
+          }
+          const { fileId, fileName, fileSize, fileType, sealed } = announced;
+          if (!session.socketFiles) session.socketFiles = [];
+
+          // sha256 lets receivers verify the finished file; a sender hashing while it
+          // streams can announce again with the hash once it's done
+          const sha256 = /^[a-f0-9]{64}$/i.test(message.sha256 || '') ? message.sha256.toLowerCase() : null;
+          const totalChunks = Number.isInteger(message.totalChunks) && message.totalChunks > 0 && message.totalChunks <= MAX_CHUNK_INDEX
+            ? message.totalChunks
+            : null;
+
+          let file = session.socketFiles.find(f => f.id === fileId);
+          if (file && file.senderId !== clientId && file.senderConnected) {
+            // Someone else is still sending this file
+            break;
+          }
+
+          if (file) {
+            // Re-announce: hash now known, or the sender reconnected
+            file.senderId = clientId;
+            file.senderConnected = true;
+            file.sha256 = sha256 || file.sha256 || null;
+            file.totalChunks = totalChunks || file.totalChunks || null;
+          } else {
+            if (session.socketFiles.length >= MAX_SOCKET_FILES) {
+              sendSessionError(ws, message.type, 'too_many_files', `Sessions hold up to ${MAX_SOCKET_FILES} shared files`);
+              break;
+            }
+            // Add to session socket files if not already there
+            file = {
+              id: fileId,
+              name: fileName,
+              size: fileSize,
+              type: fileType,
+              sealed,
+              isSocketFile: true,
+              senderId: clientId,
+              senderConnected: true,
+              sha256,
+              totalChunks,
+              announcedAt: Date.now()
+            };
+            session.socketFiles.push(file);
+          }
+          sessions.set(sessionId, session);
+
+          // Notify others that a new file is being shared via socket
+          broadcastToSession(sessionId, {
+            type: 'file_announced',
+            file: {
+              id: file.id,
+              name: file.name,
+              size: file.size,
+              type: file.type,
+              sealed: file.sealed || null,
+              isSocketFile: true,
+              senderId: file.senderId,
+              sha256: file.sha256,
+              totalChunks: file.totalChunks
+            }
+          }, clientId);
+          break;
+        }
+        case 'broadcast_file_chunk': {
+          if (!canShareOnSessionSocket(ws)) break;
+          const { to, chunk, fileId, isLast, fileSize, chunkIndex, totalChunks } = message;
+          // Never plaintext names or types in an encrypted session
+          const plaintext = !sessions.get(sessionId).encrypted;
+          const fileName = plaintext ? message.fileName : undefined;
+          const fileType = plaintext ? message.fileType : undefined;
+          // Relay to ALL OTHER clients in the session (or just `to` for a re-sent chunk).
+          // This is the legacy base64 form; binary frames (handled above) avoid the encoding overhead.
+          const relayed = {
+            type: 'broadcast_file_chunk',
+            from: clientId,
+            chunk,
+            fileId,
+            isLast,
+            fileName,
+            fileType,
+            fileSize,
+            chunkIndex,
+            totalChunks,
+            timestamp: Date.now()
+          };
+          if (to) {
+            relayToSessionClient(sessionId, ws, to, relayed, false);
+          } else {
+            relayToSession(sessionId, ws, relayed, false);
+          }
+          break;
+        }
+        // Receiver got chunks: { fileId, chunkIndex } or { fileId, chunkIndexes: [...] }
+        case 'chunk_ack': {
+          const file = findSocketFile(sessionId, message.fileId);
+          if (!file || file.senderId === clientId) break;
+
+          const indexes = Array.isArray(message.chunkIndexes) ? message.chunkIndexes : [message.chunkIndex];
+          const entry = chunkReceipts.ack(sessionId, file.id, clientId, indexes);
+          const allReceived = file.totalChunks && entry.received >= file.totalChunks;
+          if (allReceived || Date.now() - entry.reportedAt >= TRANSFER_PROGRESS_INTERVAL) {
+            reportTransferProgress(sessionId, file, entry, 'receiving');
+          }
+          break;
+        }
+        // Receiver joined late or lost chunks. Without chunkIndexes the server works out
+        // what's missing from the acks it has seen.
+        case 'request_chunks': {
+          const file = findSocketFile(sessionId, message.fileId);
+          if (!file || file.senderId === clientId) break;
+
+          if (!file.senderConnected) {
+            ws.send(JSON.stringify({ type: 'chunks_unavailable', fileId: file.id, reason: 'sender_disconnected' }));
+            break;
+          }
+
+          const chunkIndexes = Array.isArray(message.chunkIndexes)
+            ? message.chunkIndexes
+              .filter(i => Number.isInteger(i) && i >= 0 && (!file.totalChunks || i < file.totalChunks))
+              .slice(0, MAX_MISSING_REPORTED)
+            : chunkReceipts.missing(sessionId, file.id, clientId, file.totalChunks || 0);
+          if (chunkIndexes.length === 0) break;
+
+          sendToSessionClient(sessionId, file.senderId, {
+            type: 'chunks_requested',
+            fileId: file.id,
+            receiverId: clientId,
+            chunkIndexes
+          });
+          break;
+        }
+        // Receiver assembled the file; check its hash against the announced one
+        case 'transfer_complete': {
+          const file = findSocketFile(sessionId, message.fileId);
+          if (!file || file.senderId === clientId) break;
+
+          let status = 'complete';
+          if (file.sha256) {
+            status = typeof message.sha256 === 'string' && message.sha256.toLowerCase() === file.sha256 ? 'verified' : 'corrupt';
+          }
+
+          const entry = chunkReceipts.get(sessionId, file.id, clientId) || chunkReceipts.ack(sessionId, file.id, clientId, []);
+          reportTransferProgress(sessionId, file, entry, status);
+          // A corrupt file has to be fetched again from scratch
+          chunkReceipts.forget(sessionId, file.id, clientId);
+
+          ws.send(JSON.stringify({
+            type: 'transfer_result',
+            fileId: file.id,
+            status,
+            sha256: file.sha256 || null
+          }));
+          break;
+        }
+        // WebRTC signalling between two clients of the session
+        case 'rtc_offer':
+        case 'rtc_answer':
+        case 'rtc_ice_candidate':
+        case 'rtc_hangup': {
+          const signal = getRtcSignal(message);
+          if (!signal) break;
+          sendToSessionClient(sessionId, message.to, { type: message.type, from: clientId, ...signal });
+          break;
+        }
+        // Which way a file actually went: { fileId, path: 'p2p' | 'relay', reason }
+        case 'transfer_path': {
+          const { fileId, reason } = message;
+          if (!['p2p', 'relay'].includes(message.path)) break;
+          if (!findSocketFile(sessionId, fileId) && !sessions.get(sessionId)?.files.some(f => f.id === fileId)) break;
+          trackTransferPath(sessionId, fileId, message.path);
+          if (reason) console.log(`Transfer ${sessionId}-${fileId} used ${message.path} (${String(reason).slice(0, 100)})`);
+          break;
+        }
+        // ... existing main wss logic could follow if any
+      }
+    } catch (e) {
+      // Not JSON or other error
+    }
+  });
+
+  ws.on('close', () => {
+    // Tell senders about receivers that left mid-transfer
+    chunkReceipts.forgetReceiver(sessionId, clientId).forEach(entry => {
+      const file = findSocketFile(sessionId, entry.fileId);
+      if (file) reportTransferProgress(sessionId, file, entry, 'disconnected');
+    });
+
+    const session = sessions.get(sessionId);
+    if (session) {
+      session.connectedClients = Math.max(0, session.connectedClients - 1);
+      // Nobody can answer request_chunks for files this client was sending
+      (session.socketFiles || []).forEach(f => {
+        if (f.senderId === clientId) f.senderConnected = false;
+      });
+      sessions.set(sessionId, session);
+
+      broadcastToSession(sessionId, {
+        type: 'client_disconnected',
+        clientId,
+        connectedClients: session.connectedClients
+      });
+    }
+  });
+
+  ws.on('error', (error) => {
+    console.error('WebSocket error:', error);
+  });
+});
+
+
+// Whisper Mode WebSocket connection handling
+// Heartbeat: every 15s ping all clients; remove any that don't pong back
+const WHISPER_HEARTBEAT_INTERVAL = 15000;
+
+const whisperHeartbeat = setInterval(() => {
+  whisperWss.clients.forEach(wsClient => {
+    if (wsClient.isAlive === false) {
+      // Client didn't respond to last ping — terminate it
+      wsClient.terminate();
+      return;
+    }
+    wsClient.isAlive = false;
+    wsClient.ping();
+  });
+}, WHISPER_HEARTBEAT_INTERVAL);
+
+whisperWss.on('close', () => clearInterval(whisperHeartbeat));
+
+whisperWss.on('connection', (ws, req) => {
+  let clientId = uuidv4(); // Until a resume token on join brings back an earlier one
+  ws.clientId = clientId;
+  ws.clientKey = getClientKey({ ip: getUpgradeIp(req) }); // For bans and password lockouts
+  ws.isAlive = true; // Mark alive on connect
+
+  // Respond to heartbeat pings
+  ws.on('pong', () => { ws.isAlive = true; });
+
+  ws.on('message', (data, isBinary) => {
+    if (isFlooding(ws)) return;
+
+    // Binary private chunk: the peer field holds the recipient, swapped for the sender on relay
+    if (isBinary) {
+      const frame = toBuffer(data);
+      const header = parseFrame(frame);
+      if (header && header.kind === FRAME_KIND_PRIVATE) {
+        withWhisperRoomPeer(clientId, header.peerId, () => relayToWhisperUser(ws, header.peerId, setFramePeer(frame, clientId), true));
+      }
+      return;
+    }
+
+    try {
+      const message = JSON.parse(data);
+
+      switch (message.type) {
+        case 'join': {
+          const userName = (message.name || 'Anonymous').trim().slice(0, 30);
+          const room = getWhisperRoom(message.roomId || (LOBBY_ROOM && LOBBY_ROOM.id));
+          if (!room) {
+            sendWhisperError(ws, 'join', 'room_not_found', 'No such room');
+            break;
+          }
+          const roomId = room.id;
+          const publicKey = message.publicKey ? parseIdentityKey(message.publicKey) : null;
+          if (message.publicKey && !publicKey) {
+            sendWhisperError(ws, 'join', 'invalid_public_key', 'publicKey must be a raw P-256 public key (base64url)');
+            break;
+          }
+          if (!publicKey && !WHISPER_ALLOW_PLAINTEXT) {
+            sendWhisperError(ws, 'join', 'e2e_required', 'A publicKey is required to join');
+            break;
+          }
+          // A resume token from an earlier `connected` (same room and key) brings back that clientId
+          let resumed = getWhisperResume(message.resumeToken, roomId, publicKey);
+          if (resumed && resumed.resume === clientId) resumed = null; // Already are
+
+          // Re-joining the room they're in (new name or key) needs no second admission
+          const previous = whisperUsers.get(clientId);
+          const admission = previous && previous.roomId === roomId && !resumed
+            ? { owner: previous.owner }
+            : admitToWhisperRoom(ws, room, message, publicKey, resumed);
+          if (!admission) break;
+          if (!admission.resumed) resumed = null; // Voided by a kick or ban: they're in as someone new
+
+          // Switching rooms (or identities): leave the old one first so its user list stays right
+          if (previous && (previous.roomId !== roomId || resumed)) {
+            removeWhisperUser(clientId);
+          }
+          if (resumed) {
+            replaceWhisperSocket(resumed.resume);
+            clientId = resumed.resume;
+            ws.clientId = clientId;
+          }
+          whisperUsers.delete(clientId);
+          const user = {
+            id: clientId,
+            name: userName,
+            roomId,
+            owner: admission.owner,
+            publicKey,
+            keepHistory: !!message.history, // Opt-in: keep their sealed messages for get_history
+            ws,
+            joinedAt: Date.now()
+          };
+          whisperUsers.set(clientId, user);
+          // Send clientId back to the client, with the token for /api/whisper/upload and /file
+          ws.send(JSON.stringify({
+            type: 'connected',
+            clientId,
+            roomId,
+            roomName: room.name,
+            owner: user.owner,
+            resumed: !!resumed,
+            resumeToken: tokenSigner.issue({ resume: clientId, room: roomId, pk: publicKey, owner: user.owner, iat: Date.now() }, WHISPER_OFFLINE_TTL),
+            fileToken: tokenSigner.issue({ room: roomId, sub: clientId }, WHISPER_FILE_TTL),
+            history: user.keepHistory,
+            iceServers: RTC_ICE_SERVERS,
+            e2e: WHISPER_E2E_SCHEME
+          }));
+          console.log(`Whisper: User ID (${clientId}) ${resumed ? 'resumed in' : 'joined'} room ${roomId}. Local: ${whisperUsers.size}`);
+          pubsub.presence.set(roomId, clientId, { id: user.id, name: user.name, owner: user.owner, publicKey, history: user.keepHistory, joinedAt: user.joinedAt })
+            .then(() => broadcastWhisperUserList(roomId))
+            .then(() => resumed && deliverWhisperMailbox(user))
+            .then(() => resumed && syncWhisperGroups(user))
+            .catch(err => console.error('Whisper presence update failed:', err.message));
+          break;
+        }
+        // New messages get a messageId, echoed to the sender in message_status; `replyTo`
+        // may name an earlier message in the same conversation
+        case 'private_message': {
+          const user = whisperUsers.get(clientId);
+          const payload = user && getWhisperPayload(ws, message, ['content']);
+          if (!payload) break;
+          postWhisperMessage(ws, user, message, () => ({
+            type: 'private_message',
+            from: clientId,
+            fromName: user.name,
+            ...payload
+          })).catch(err => console.error('Whisper message delivery failed:', err.message));
+          break;
+        }
+
+        case 'private_file_chunk': {
+          const payload = getWhisperPayload(ws, message, ['chunk', 'fileName', 'fileType']);
+          if (!payload) break;
+          const { to, fileId, isLast, fileSize } = message;
+          withWhisperRoomPeer(clientId, to, (user) => relayToWhisperUser(ws, to, {
+            type: 'private_file_chunk',
+            from: clientId,
+            fromName: user.name,
+            ...payload,
+            fileId,
+            isLast,
+            fileSize,
+            timestamp: Date.now()
+          }, false));
+          break;
+        }
+        // File details for a transfer whose chunks arrive as binary frames
+        case 'private_file_meta': {
+          const payload = getWhisperPayload(ws, message, ['fileName', 'fileType']);
+          if (!payload) break;
+          const { to, fileId, fileSize, totalChunks } = message;
+          withWhisperRoomPeer(clientId, to, (user) => sendToWhisperUser(to, {
+            type: 'private_file_meta',
+            from: clientId,
+            fromName: user.name,
+            ...payload,
+            fileId,
+            fileSize,
+            totalChunks,
+            timestamp: Date.now()
+          }));
+          break;
+        }
+        // Sealed, this carries the name, type and file key of an encrypted upload
+        case 'file_message': {
+          const user = whisperUsers.get(clientId);
+          const payload = user && getWhisperPayload(ws, message, ['fileName', 'mimeType']);
+          if (!payload) break;
+          const { fileId, fileSize } = message;
+          postWhisperMessage(ws, user, message, () => ({
+            type: 'file_message',
+            from: clientId,
+            fromName: user.name,
+            ...payload,
+            fileId,
+            fileSize
+          })).catch(err => console.error('Whisper message delivery failed:', err.message));
+          break;
+        }
+        // Scoped to the thread it's in: one-to-one (`to`) or a group (`groupId`)
+        case 'typing': {
+          const { to, groupId, isTyping } = message;
+          if (groupId) {
+            if (!whisperUsers.has(clientId)) break;
+            sendToWhisperGroup(ws, clientId, message, () => ({ type: 'typing', from: clientId, groupId, isTyping: !!isTyping }), false)
+              .catch(err => console.error('Whisper group typing failed:', err.message));
+            break;
+          }
+          withWhisperRoomPeer(clientId, to, () => sendToWhisperUser(to, {
+            type: 'typing',
+            from: clientId,
+            isTyping
+          }));
+          break;
+        }
+        // Receipts back to the sender: { to, messageIds }. Queued like messages if they've dropped off
+        case 'delivered':
+        case 'read': {
+          const user = whisperUsers.get(clientId);
+          const messageIds = [].concat(message.messageIds || []).filter(id => typeof id === 'string').slice(0, WHISPER_RECEIPT_BATCH);
+          if (!user || messageIds.length === 0) break;
+          sendToWhisperPeer(ws, user, message, {
+            type: message.type,
+            from: clientId,
+            messageIds,
+            timestamp: Date.now()
+          }).catch(err => console.error('Whisper receipt delivery failed:', err.message));
+          break;
+        }
+        // { since }: sealed messages this user sent or received since then, if they joined with history: true
+        case 'get_history': {
+          const user = whisperUsers.get(clientId);
+          if (!user) break;
+          if (!user.keepHistory) {
+            sendWhisperError(ws, 'get_history', 'history_disabled', 'Join with history: true to keep history');
+            break;
+          }
+          whisperMailboxes.history(clientId, Number(message.since) || 0)
+            .then(messages => {
+              if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify({ type: 'history', messages }));
+            })
+            .catch(err => console.error('Whisper history fetch failed:', err.message));
+          break;
+        }
+        // Everyone in the room; sealed is a map of { userId: blob }, one per recipient
+        case 'room_message': {
+          const user = whisperUsers.get(clientId);
+          const payloadFor = user && getWhisperFanout(ws, message, ['content']);
+          if (!payloadFor) break;
+          postWhisperMessage(ws, user, message, (recipientId) => {
+            const payload = payloadFor(recipientId);
+            return payload && {
+              type: 'room_message',
+              from: clientId,
+              fromName: user.name,
+              roomId: user.roomId,
+              ...payload
+            };
+          }).catch(err => console.error('Whisper room message failed:', err.message));
+          break;
+        }
+        // Group threads (groups.js). group_file_message points at a /api/whisper/upload
+        // fileId; its sealed payload carries the name, type and file key as in file_message.
+        case 'group_message':
+        case 'group_file_message': {
+          const user = whisperUsers.get(clientId);
+          const payloadFor = user && getWhisperFanout(ws, message, message.type === 'group_message' ? ['content'] : ['fileName', 'mimeType']);
+          if (!payloadFor) break;
+          const file = message.type === 'group_file_message' ? { fileId: message.fileId, fileSize: message.fileSize } : {};
+          postWhisperMessage(ws, user, message, (recipientId) => {
+            const payload = payloadFor(recipientId);
+            return payload && {
+              type: message.type,
+              groupId: message.groupId,
+              from: clientId,
+              fromName: user.name,
+              ...payload,
+              ...file
+            };
+          }).catch(err => console.error('Whisper group message failed:', err.message));
+          break;
+        }
+        // On an earlier message, by messageId: react { emoji, remove } from anyone in the
+        // conversation; edit_message { sealed | content } (within WHISPER_EDIT_WINDOW) and
+        // delete_message (for everyone) from its author only
+        case 'react':
+        case 'edit_message':
+        case 'delete_message': {
+          const user = whisperUsers.get(clientId);
+          if (!user) break;
+          reviseWhisperMessage(ws, user, message)
+            .catch(err => console.error(`Whisper ${message.type} failed:`, err.message));
+          break;
+        }
+        case 'group_create':
+        case 'group_add':
+        case 'group_remove':
+        case 'group_leave': {
+          if (!whisperUsers.has(clientId)) break;
+          updateWhisperGroup(ws, clientId, message)
+            .catch(err => console.error('Whisper group update failed:', err.message));
+          break;
+        }
+        // Room owner only: { userId }. A kicked user may come back (password, new invite); a banned one can't
+        case 'room_kick':
+        case 'room_ban': {
+          const user = whisperUsers.get(clientId);
+          if (!user) break;
+          if (!user.owner) {
+            sendWhisperError(ws, message.type, 'not_owner', 'Only the room owner can do this');
+            break;
+          }
+          moderateWhisperRoom(ws, user, message)
+            .catch(err => console.error('Whisper room moderation failed:', err.message));
+          break;
+        }
+        // WebRTC signalling for direct file transfers between two whisper users
+        case 'rtc_offer':
+        case 'rtc_answer':
+        case 'rtc_ice_candidate':
+        case 'rtc_hangup': {
+          const signal = getRtcSignal(message);
+          if (!signal) break;
+          withWhisperRoomPeer(clientId, message.to, (user) => sendToWhisperUser(message.to, {
+            type: message.type,
+            from: clientId,
+            fromName: user.name,
+            ...signal
+          }));
+          break;
+        }
+        case 'transfer_path': {
+          if (!['p2p', 'relay'].includes(message.path) || !whisperUsers.has(clientId)) break;
+          whisperTransferPaths[message.path]++;
+          break;
+        }
+
+      } // end switch
+    } catch (err) {
+      console.error('Whisper message error:', err);
+    }
+  });
+
+
+  ws.on('close', () => {
+    const user = whisperUsers.get(clientId);
+    // Not if a resume moved this clientId to a newer socket
+    if (user && user.ws === ws) {
+      console.log(`Whisper: User ID (${clientId}) disconnected from room ${user.roomId}. Local: ${whisperUsers.size - 1}`);
+      removeWhisperUser(clientId, true);
+      // Away until they resume (or WHISPER_OFFLINE_TTL passes); messages to them are queued meanwhile
+      whisperMailboxes.markAway(user)
+        .catch(err => console.error('Whisper away update failed:', err.message));
+      setTimeout(() => removeAbandonedWhisperFiles(clientId, user.roomId), WHISPER_RESUME_GRACE).unref();
+      setTimeout(() => {
+        leaveGroupsIfGone(clientId, user.roomId)
+          .catch(err => console.error('Whisper group cleanup failed:', err.message));
+      }, WHISPER_OFFLINE_TTL).unref();
+    }
+  });
+
+  // 'close' follows, and cleans up
+  ws.on('error', (err) => {
+    console.error('Whisper WS error:', err.message);
+  });
+
+});
+
+// What a whisper message may carry to its recipient: the sealed blob, or (only while
+// WHISPER_ALLOW_PLAINTEXT is on) the listed plaintext fields. Anything else is refused.
+function getWhisperPayload(ws, message, plaintextFields) {
+  if (message.sealed !== undefined) {
+    if (!isSealedBlob(message.sealed, WHISPER_SEALED_LIMIT)) {
+      sendWhisperError(ws, message.type, 'invalid_sealed', 'sealed must be a base64url blob');
+      return null;
+    }
+    return { sealed: message.sealed };
+  }
+  if (!WHISPER_ALLOW_PLAINTEXT) {
+    sendWhisperError(ws, message.type, 'e2e_required', `Messages must be sealed (${WHISPER_E2E_SCHEME})`);
+    return null;
+  }
+  return Object.fromEntries(plaintextFields.map(field => [field, message[field]]));
+}
+
+// Like getWhisperPayload for messages to several users: sealed maps recipient ids to
+// their own blob. Returns (recipientId) => payload | null, or null after an error.
+function getWhisperFanout(ws, message, plaintextFields) {
+  const { sealed } = message;
+  if (sealed === undefined) {
+    const payload = getWhisperPayload(ws, message, plaintextFields);
+    return payload && (() => payload);
+  }
+  const blobs = sealed && typeof sealed === 'object' && !Array.isArray(sealed) ? Object.values(sealed) : null;
+  if (!blobs || !blobs.every(blob => isSealedBlob(blob, WHISPER_SEALED_LIMIT))) {
+    sendWhisperError(ws, message.type, 'invalid_sealed', 'sealed must map user ids to base64url blobs');
+    return null;
+  }
+  return (recipientId) => (Object.prototype.hasOwnProperty.call(sealed, recipientId) ? { sealed: sealed[recipientId] } : null);
+}
+
+// build(recipientId) -> message | null (null: nothing for them, e.g. no sealed blob)
+async function sendToWhisperRoomMembers(user, build) {
+  const members = await pubsub.presence.list(user.roomId);
+  members.forEach(member => {
+    if (member.id === user.id) return;
+    const message = build(member.id);
+    if (message) sendToWhisperUser(member.id, message);
+  });
+}
+
+// Members who dropped off get it queued like a one-to-one message (unless `queue` is
+// false, for typing); a full mailbox drops it for them. Members who are neither here
+// nor away are long gone, and leave the group.
+async function sendToWhisperGroup(ws, clientId, message, build, queue = true) {
+  const { groupId } = message;
+  const members = typeof groupId === 'string' ? await whisperGroups.members(groupId) : [];
+  if (!members.some(member => member.id === clientId)) {
+    sendWhisperError(ws, message.type, 'not_a_member', 'You are not in this group');
+    return;
+  }
+  const { roomId } = whisperUsers.get(clientId);
+  const present = new Set((await pubsub.presence.list(roomId)).map(member => member.id));
+  for (const member of members) {
+    if (member.id === clientId) continue;
+    const outgoing = build(member.id);
+    if (!outgoing) continue;
+    if (present.has(member.id)) {
+      sendToWhisperUser(member.id, outgoing);
+    } else if (queue) {
+      if (await whisperMailboxes.getAway(roomId, member.id)) {
+        await whisperMailboxes.queue(member.id, uuidv4(), outgoing);
+      } else {
+        await leaveWhisperGroup(groupId, member.id, 'disconnected');
+      }
+    }
+  }
+  whisperGroups.touch(groupId, members.map(member => member.id))
+    .catch(err => console.error('Whisper group refresh failed:', err.message));
+}
+
+// group_create { members }, group_add { groupId, members }, group_remove { groupId, members }
+// (owner only) and group_leave { groupId }. Groups only take users from the creator's room.
+async function updateWhisperGroup(ws, clientId, message) {
+  const user = whisperUsers.get(clientId);
+  const ids = [].concat(message.members || []).filter(id => typeof id === 'string' && id !== clientId);
+  const roomUsers = () => pubsub.presence.list(user.roomId).then(users => users.filter(u => ids.includes(u.id)));
+
+  if (message.type === 'group_create') {
+    const invited = await roomUsers();
+    if (invited.length === 0) {
+      return sendWhisperError(ws, message.type, 'no_members', 'Pick at least one user from your room');
+    }
+    if (invited.length + 1 > MAX_GROUP_MEMBERS) {
+      return sendWhisperError(ws, message.type, 'group_full', `Groups hold up to ${MAX_GROUP_MEMBERS} users`);
+    }
+    const groupId = await whisperGroups.create(user, invited);
+    console.log(`Whisper: group ${groupId} created by ${clientId} with ${invited.length} others`);
+    return announceGroupUpdate(groupId, 'created', { by: clientId });
+  }
+
+  const groupId = message.groupId;
+  const members = typeof groupId === 'string' ? await whisperGroups.members(groupId) : [];
+  const self = members.find(member => member.id === clientId);
+  if (!self) {
+    return sendWhisperError(ws, message.type, 'not_a_member', 'You are not in this group');
+  }
+
+  if (message.type === 'group_leave') {
+    return leaveWhisperGroup(groupId, clientId, 'left');
+  }
+
+  if (message.type === 'group_add') {
+    const added = (await roomUsers()).filter(u => !members.some(member => member.id === u.id));
+    if (added.length === 0) return;
+    if (members.length + added.length > MAX_GROUP_MEMBERS) {
+      return sendWhisperError(ws, message.type, 'group_full', `Groups hold up to ${MAX_GROUP_MEMBERS} users`);
+    }
+    await Promise.all(added.map(member => whisperGroups.add(groupId, member, clientId)));
+    return announceGroupUpdate(groupId, 'members_added', { by: clientId, added: added.map(u => u.id) });
+  }
+
+  if (message.type === 'group_remove') {
+    if (!self.owner) {
+      return sendWhisperError(ws, message.type, 'not_owner', 'Only the group creator can remove members');
+    }
+    const removed = members.filter(member => ids.includes(member.id)).map(member => member.id);
+    if (removed.length === 0) return;
+    await Promise.all(removed.map(id => whisperGroups.remove(groupId, id)));
+    return announceGroupUpdate(groupId, 'members_removed', { by: clientId, removed });
+  }
+}
+
+async function leaveWhisperGroup(groupId, clientId, event) {
+  await whisperGroups.remove(groupId, clientId);
+  await announceGroupUpdate(groupId, event, { by: clientId, removed: [clientId] });
+}
+
+// Members see the whole list after every change (with keys, to seal the next message);
+// whoever was removed gets it too, so they know they're out
+async function announceGroupUpdate(groupId, event, details) {
+  const members = await whisperGroups.members(groupId);
+  const message = { type: 'group_update', groupId, event, ...details, members, timestamp: Date.now() };
+  const recipients = new Set([...members.map(member => member.id), ...(details.removed || [])]);
+  recipients.forEach(id => sendToWhisperUser(id, message));
+}
+
+function getWhisperRoom(roomId) {
+  if (LOBBY_ROOM && roomId === LOBBY_ROOM.id) return LOBBY_ROOM;
+  return (typeof roomId === 'string' && whisperRooms.get(roomId)) || null;
+}
+
+// -> { owner, resumed } once they're in; otherwise tells them why and returns null.
+// Wrong passwords and invites count against the same lockout as session passwords.
+function admitToWhisperRoom(ws, room, message, publicKey, resumed) {
+  const limiterKey = `whisper:${room.id}:${ws.clientKey}`;
+  const lockedFor = verifyLimiter.check(limiterKey);
+  if (lockedFor) {
+    sendWhisperError(ws, 'join', 'too_many_attempts', `Too many attempts, try again in ${Math.ceil(lockedFor / 60000)} min`);
+    return null;
+  }
+
+  const admission = admit(room, {
+    ownerToken: message.ownerToken,
+    password: message.password,
+    invite: message.invite,
+    resumed: resumed ? { userId: resumed.resume, issuedAt: resumed.iat || 0 } : null,
+    publicKey,
+    clientKey: ws.clientKey
+  });
+  if (admission.error) {
+    if (admission.error === 'invalid_password' || admission.error === 'invalid_invite') verifyLimiter.fail(limiterKey);
+    sendWhisperError(ws, 'join', admission.error, ROOM_ADMISSION_ERRORS[admission.error]);
+    return null;
+  }
+
+  verifyLimiter.reset(limiterKey);
+  if (room !== LOBBY_ROOM) {
+    room.lastJoinAt = Date.now();
+    whisperRooms.set(room.id, room); // Also saves a used-up invite
+  }
+  return admission.resumed && resumed.owner ? { ...admission, owner: true } : admission;
+}
+
+// room_kick / room_ban { userId } from the owner. Either voids the target's resume tokens;
+// a ban also covers their identity key and, when their socket is on this instance, their address.
+async function moderateWhisperRoom(ws, owner, message) {
+  const room = getWhisperRoom(owner.roomId);
+  const members = room ? await pubsub.presence.list(room.id) : [];
+  const target = members.find(member => member.id === message.userId);
+  if (!target || target.id === owner.id) {
+    return sendWhisperError(ws, message.type, 'not_in_room', 'That user is not in your room');
+  }
+
+  const banned = message.type === 'room_ban';
+  if (banned) {
+    const local = whisperUsers.get(target.id);
+    addBan(room, { publicKey: target.publicKey, clientKey: local && local.ws.clientKey });
+  }
+  revokeResumes(room, target.id);
+  whisperRooms.set(room.id, room);
+  evictWhisperUser(target.id, room.id, banned ? 'banned' : 'kicked');
+
+  const update = { type: 'room_update', roomId: room.id, event: banned ? 'banned' : 'kicked', userId: target.id, by: owner.id, timestamp: Date.now() };
+  deliverToWhisperRoom(room.id, update);
+  pubsub.publish('whisper', { roomId: room.id, message: update }).catch(logPubSubError);
+  console.log(`Whisper: ${target.id} ${update.event} from room ${room.id}`);
+}
+
+// Out of the room but still connected, so they can join another one
+function evictWhisperUser(clientId, roomId, reason) {
+  const user = whisperUsers.get(clientId);
+  if (!user) {
+    // Presence is shared; the socket may be on another instance
+    pubsub.publish('whisper', { evict: { clientId, roomId, reason } }).catch(logPubSubError);
+    return;
+  }
+  if (user.roomId !== roomId) return;
+  deliverToWhisperUser(clientId, { type: 'removed_from_room', roomId, reason });
+  removeWhisperUser(clientId);
+}
+
+// Room files are for the room; private ones for the two ends; group ones for the thread
+async function canSeeWhisperFile(file, { roomId, userId }) {
+  if (file.roomId !== roomId) return false;
+  if (file.uploadedBy === userId) return true;
+  if (file.to) return file.to === userId;
+  if (file.groupId) return (await whisperGroups.members(file.groupId)).some(member => member.id === userId);
+  return true;
+}
+
+// Claims of a resume token for this room and identity key, or null (a fresh clientId then)
+function getWhisperResume(token, roomId, publicKey) {
+  const claims = tokenSigner.verify(token);
+  if (!claims || !claims.resume || claims.room !== roomId || (claims.pk || null) !== (publicKey || null)) return null;
+  return claims;
+}
+
+// A resumed clientId may still have its old socket open (here or on another instance)
+// when the new one arrives. It's closed without touching presence, which is the new one's now.
+function replaceWhisperSocket(clientId) {
+  const user = whisperUsers.get(clientId);
+  if (!user) {
+    pubsub.publish('whisper', { replaced: clientId }).catch(logPubSubError);
+    return;
+  }
+  whisperUsers.delete(clientId);
+  if (user.ws.readyState === WebSocket.OPEN) {
+    user.ws.send(JSON.stringify({ type: 'replaced' }));
+    user.ws.close(1000, 'Resumed on another connection');
+  }
+}
+
+// WHISPER_OFFLINE_TTL after a drop: unless they came back (and are here or away again
+// since), they're gone and leave their groups
+async function leaveGroupsIfGone(clientId, roomId) {
+  if (whisperUsers.has(clientId)) return;
+  if ((await pubsub.presence.list(roomId)).some(member => member.id === clientId)) return;
+  if (await whisperMailboxes.getAway(roomId, clientId)) return;
+  const groupIds = await whisperGroups.groupsOf(clientId);
+  await Promise.all(groupIds.map(groupId => leaveWhisperGroup(groupId, clientId, 'disconnected')));
+}
+
+// After a resume: the current members of each of their groups, which may have changed meanwhile
+async function syncWhisperGroups(user) {
+  const groupIds = await whisperGroups.groupsOf(user.id);
+  for (const groupId of groupIds) {
+    const members = await whisperGroups.members(groupId);
+    deliverToWhisperUser(user.id, { type: 'group_update', groupId, event: 'synced', members, timestamp: Date.now() });
+  }
+}
+
+// Everything queued while they were away, in order, marked `queued`
+async function deliverWhisperMailbox(user) {
+  await whisperMailboxes.clearAway(user.roomId, user.id);
+  const queued = await whisperMailboxes.drain(user.id);
+  queued.forEach(message => deliverToWhisperUser(user.id, { ...message, queued: true }));
+  if (queued.length > 0) console.log(`Whisper: delivered ${queued.length} queued message(s) to ${user.id}`);
+}
+
+// One-to-one messages, receipts and message updates, to `message.to` in the sender's room:
+// live when they're connected (any instance), queued while they're away, refused otherwise.
+// -> { status: 'sent' | 'queued', recipient } (presence or away entry), or null if refused
+async function sendToWhisperPeer(ws, sender, message, outgoing) {
+  const { to } = message;
+  const members = await pubsub.presence.list(sender.roomId);
+  const recipient = members.find(member => member.id === to);
+  if (recipient) {
+    sendToWhisperUser(to, outgoing);
+    return { status: 'sent', recipient };
+  }
+
+  const away = typeof to === 'string' ? await whisperMailboxes.getAway(sender.roomId, to) : null;
+  if (!away) {
+    sendWhisperError(ws, message.type, 'recipient_offline', 'That user is not in your room');
+    return null;
+  }
+  if (!(await whisperMailboxes.queue(to, uuidv4(), outgoing))) {
+    sendWhisperError(ws, message.type, 'mailbox_full', 'Too many messages are waiting for that user');
+    return null;
+  }
+  return { status: 'queued', recipient: away };
+}
+
+// Direct relays (file chunks and metadata, typing, WebRTC signals) run send(user) only
+// for a joined user whose `to` is in the same room. Others are dropped without a word.
+function withWhisperRoomPeer(clientId, to, send) {
+  const user = whisperUsers.get(clientId);
+  if (!user || typeof to !== 'string' || to === clientId) return;
+  // Local targets need no presence lookup, which keeps the per-chunk path cheap
+  const local = whisperUsers.get(to);
+  if (local) {
+    if (local.roomId === user.roomId) send(user);
+    return;
+  }
+  pubsub.presence.list(user.roomId)
+    .then(members => {
+      if (members.some(member => member.id === to) && whisperUsers.get(clientId) === user) send(user);
+    })
+    .catch(err => console.error('Whisper relay check failed:', err.message));
+}
+
+// Conversation of a new message: the room, a group thread (`groupId`) or one-to-one (`to`)
+const getWhisperThread = (user, message) => ({
+  roomId: user.roomId,
+  to: message.type === 'room_message' || message.type.startsWith('group_') ? null : String(message.to),
+  groupId: message.type.startsWith('group_') ? String(message.groupId || '') : null
+});
+
+// Whether a logged message belongs to the conversation `user` is in (thread), or can see at all
+function isInWhisperThread(entry, user, thread = null) {
+  if (entry.roomId !== user.roomId) return false;
+  const participants = entry.to ? [entry.author, entry.to] : null;
+  if (!thread) return !participants || participants.includes(user.id);
+  if ((entry.groupId || null) !== thread.groupId) return false;
+  if (!thread.to) return !participants;
+  return !!participants && participants.includes(user.id) && participants.includes(thread.to);
+}
+
+// A new message: logged under a fresh messageId (so it can be replied to, reacted to,
+// edited and deleted), sent to its conversation, then confirmed to the sender with
+// message_status. One-to-one messages also go into history for whoever opted in.
+// build(recipientId) -> the message for them, or null
+async function postWhisperMessage(ws, user, message, build) {
+  const thread = getWhisperThread(user, message);
+  if (thread.groupId !== null && !(await whisperGroups.members(thread.groupId)).some(member => member.id === user.id)) {
+    return sendWhisperError(ws, message.type, 'not_a_member', 'You are not in this group');
+  }
+
+  let replyTo = null;
+  if (message.replyTo !== undefined) {
+    const parent = await whisperMessageLog.get(message.replyTo);
+    if (!parent || parent.deleted || !isInWhisperThread(parent, user, thread)) {
+      return sendWhisperError(ws, message.type, 'invalid_reply', 'replyTo must be a message in this conversation');
+    }
+    replyTo = parent.id;
+  }
+
+  const messageId = uuidv4();
+  const timestamp = Date.now();
+  const stamp = (outgoing) => outgoing && { ...outgoing, messageId, ...(replyTo && { replyTo }), timestamp };
+  await whisperMessageLog.add({ id: messageId, type: message.type, author: user.id, ...thread });
+
+  let status = 'sent';
+  if (thread.groupId !== null) {
+    await sendToWhisperGroup(ws, user.id, message, (recipientId) => stamp(build(recipientId)));
+  } else if (thread.to !== null) {
+    const outgoing = stamp(build(thread.to));
+    const delivery = await sendToWhisperPeer(ws, user, message, outgoing);
+    if (!delivery) return;
+    status = delivery.status;
+    const kept = { ...outgoing, to: thread.to };
+    if (user.keepHistory) await whisperMailboxes.record(user.id, messageId, kept);
+    if (delivery.recipient.history) await whisperMailboxes.record(thread.to, messageId, kept);
+  } else {
+    await sendToWhisperRoomMembers(user, (recipientId) => stamp(build(recipientId)));
+  }
+
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify({ type: 'message_status', messageId, clientMessageId: message.clientMessageId, to: thread.to, groupId: thread.groupId, status }));
+  }
+}
+
+// react, edit_message and delete_message; relayed as reaction, message_edited and
+// message_deleted to the rest of the conversation
+async function reviseWhisperMessage(ws, user, message) {
+  const entry = await whisperMessageLog.get(message.messageId);
+  const visible = entry && isInWhisperThread(entry, user) &&
+    (!entry.groupId || (await whisperGroups.members(entry.groupId)).some(member => member.id === user.id));
+  if (!visible) {
+    return sendWhisperError(ws, message.type, 'message_not_found', 'No such message in your conversations');
+  }
+  if (entry.deleted) {
+    return sendWhisperError(ws, message.type, 'message_deleted', 'That message was deleted');
+  }
+  if (message.type !== 'react' && entry.author !== user.id) {
+    return sendWhisperError(ws, message.type, 'not_author', 'Only the author can do this');
+  }
+
+  const { messageId } = message;
+  const participants = entry.to ? [entry.author, entry.to] : [];
+  let build;
+
+  if (message.type === 'react') {
+    // One emoji, the same for everyone, so it travels as it is
+    const { emoji } = message;
+    if (typeof emoji !== 'string' || emoji.length > WHISPER_REACTION_MAX || !WHISPER_REACTION.test(emoji)) {
+      return sendWhisperError(ws, message.type, 'invalid_emoji', 'emoji must be a single emoji');
+    }
+    build = () => ({ type: 'reaction', messageId, from: user.id, emoji, removed: !!message.remove, timestamp: Date.now() });
+  } else if (message.type === 'edit_message') {
+    if (!WHISPER_EDITABLE.includes(entry.type)) {
+      return sendWhisperError(ws, message.type, 'not_editable', 'Only text messages can be edited');
+    }
+    if (Date.now() - entry.at > WHISPER_EDIT_WINDOW) {
+      return sendWhisperError(ws, message.type, 'edit_window_closed', `Messages can only be edited for ${WHISPER_EDIT_WINDOW / 60000} minutes`);
+    }
+    // Sealed like the original: one blob for a one-to-one message, a { userId: blob } map otherwise
+    const single = entry.to && getWhisperPayload(ws, message, ['content']);
+    const payloadFor = entry.to ? single && (() => single) : getWhisperFanout(ws, message, ['content']);
+    if (!payloadFor) return;
+    const editedAt = Date.now();
+    await whisperMessageLog.update(entry, { editedAt });
+    await Promise.all(participants.map(id => whisperMailboxes.revise(id, messageId, kept => ({ ...kept, ...single, editedAt }))));
+    build = (recipientId) => {
+      const payload = payloadFor(recipientId);
+      return payload && { type: 'message_edited', messageId, from: user.id, ...payload, editedAt };
+    };
+  } else {
+    await whisperMessageLog.update(entry, { deleted: true });
+    // Also out of mailboxes and history, so a late resume or history fetch doesn't bring it back
+    await Promise.all(participants.map(id => whisperMailboxes.revise(id, messageId, () => null)));
+    build = () => ({ type: 'message_deleted', messageId, from: user.id, timestamp: Date.now() });
+  }
+
+  if (entry.groupId) {
+    await sendToWhisperGroup(ws, user.id, { type: message.type, groupId: entry.groupId }, build);
+  } else if (entry.to) {
+    const peer = user.id === entry.author ? entry.to : entry.author;
+    const outgoing = build(peer);
+    if (outgoing) await sendToWhisperPeer(ws, user, { type: message.type, to: peer }, outgoing);
+  } else {
+    await sendToWhisperRoomMembers(user, build);
+  }
+}
+
+// The old ephemeral rule (a user's uploads go when they do), after WHISPER_RESUME_GRACE
+// so a reconnect doesn't cost them their files
+async function removeAbandonedWhisperFiles(clientId, roomId) {
+  try {
+    if (whisperUsers.has(clientId)) return;
+    if ((await pubsub.presence.list(roomId)).some(member => member.id === clientId)) return;
+  } catch (err) {
+    console.error('Whisper presence check failed:', err.message);
+    return;
+  }
+  for (const [fileId, fileData] of whisperFiles.entries()) {
+    if (fileData.uploadedBy === clientId) {
+      removeStoredFile(fileData.key);
+      whisperFiles.delete(fileId);
+    }
+  }
+}
+
+// The upgrade request never goes through Express, so work out req.ip the way
+// `trust proxy` (one hop) would
+function getUpgradeIp(request) {
+  const forwarded = request.headers['x-forwarded-for'];
+  if (app.get('trust proxy') && forwarded) {
+    return forwarded.split(',').pop().trim();
+  }
+  return request.socket.remoteAddress;
+}
+
+function sendWhisperError(ws, type, code, error) {
+  if (ws.readyState !== WebSocket.OPEN) return;
+  ws.send(JSON.stringify({ type: 'error', for: type, code, error }));
+}
+
+// Drop a local whisper user from the room and from shared presence. `away`: only the
+// socket dropped, so they keep their groups until they resume or are gone for good.
+function removeWhisperUser(clientId, away = false) {
+  const user = whisperUsers.get(clientId);
+  if (!user) return;
+  whisperUsers.delete(clientId);
+  pubsub.presence.remove(user.roomId, clientId)
+    .then(() => broadcastWhisperUserList(user.roomId))
+    .catch(err => console.error('Whisper presence update failed:', err.message));
+  if (away) return;
+  // Groups live inside a room, so leaving the room leaves them too
+  whisperGroups.groupsOf(clientId)
+    .then(groupIds => Promise.all(groupIds.map(groupId => leaveWhisperGroup(groupId, clientId, 'disconnected'))))
+    .catch(err => console.error('Whisper group cleanup failed:', err.message));
+}
+
+// The user list comes from shared presence so it includes users on every instance
+async function broadcastWhisperUserList(roomId) {
+  const userList = await pubsub.presence.list(roomId);
+  const message = {
+    type: 'user_list',
+    users: userList.sort((a, b) => a.joinedAt - b.joinedAt)
+  };
+
+  deliverToWhisperRoom(roomId, message);
+  pubsub.publish('whisper', { roomId, message }).catch(logPubSubError);
+}
+
+function deliverToWhisperRoom(roomId, message) {
+  const payload = JSON.stringify(message);
+  whisperUsers.forEach(user => {
+    if (user.roomId === roomId && user.ws.readyState === WebSocket.OPEN) {
+      user.ws.send(payload);
+    }
+  });
+}
+
+// Send to a whisper user on whichever instance holds their socket
+function sendToWhisperUser(to, message) {
+  if (deliverToWhisperUser(to, message)) return;
+  pubsub.publish('whisper', { to, message }).catch(logPubSubError);
+}
+
+function deliverToWhisperUser(to, message) {
+  const targetUser = whisperUsers.get(to);
+  if (targetUser && targetUser.ws.readyState === WebSocket.OPEN) {
+    targetUser.ws.send(JSON.stringify(message));
+    return true;
+  }
+  return false;
+}
+
+// Relay a file chunk (JSON string or binary frame) to one whisper user, with backpressure
+// `data` is a binary frame (isBinary) or the message object for a JSON chunk
+function relayToWhisperUser(sender, to, data, isBinary) {
+  const targetUser = whisperUsers.get(to);
+  if (targetUser) {
+    relayToSockets(sender, [targetUser.ws], isBinary ? data : JSON.stringify(data), isBinary);
+    return;
+  }
+  publishRelay('whisper', () => relayEnvelope({ to }, data, isBinary));
+}
+
+// Relay a file chunk to one client of the session (re-sent chunks), with backpressure
+function relayToSessionClient(sessionId, sender, to, data, isBinary) {
+  const target = findSessionClient(sessionId, to);
+  if (target) {
+    relayToSockets(sender, [target], isBinary ? data : JSON.stringify(data), isBinary);
+    return;
+  }
+  publishRelay('session', () => relayEnvelope({ sessionId, to }, data, isBinary));
+}
+
+// Relay a file chunk to everyone else in the session, on this and other instances
+function relayToSession(sessionId, sender, data, isBinary) {
+  const targets = [];
+  wss.clients.forEach(client => {
+    if (client !== sender && client.sessionId === sessionId) targets.push(client);
+  });
+  relayToSockets(sender, targets, isBinary ? data : JSON.stringify(data), isBinary);
+  publishRelay('session', () => relayEnvelope({ sessionId }, data, isBinary));
+}
+
+// Pub/sub carries JSON, so frames travel base64'd between instances
+function relayEnvelope(address, data, isBinary) {
+  return isBinary ? { ...address, frame: data.toString('base64') } : { ...address, message: data };
+}
+
+// With the in-process adapter there's no other instance to hear a relayed chunk, so
+// don't build (or base64) the envelope at all
+function publishRelay(channel, buildEnvelope) {
+  if (pubsub.name === 'memory') return;
+  pubsub.publish(channel, buildEnvelope()).catch(logPubSubError);
+}
+
+function relayToSockets(sender, targets, data, isBinary) {
+  const slow = [];
+  targets.forEach(target => {
+    if (target.readyState !== WebSocket.OPEN) return;
+    if (target.bufferedAmount > RELAY_MAX_BUFFERED) {
+      console.warn(`Dropping receiver ${target.clientId}: ${target.bufferedAmount} bytes queued`);
+      target.close(1013, 'Receiver too slow');
+      return;
+    }
+    target.send(data, { binary: isBinary });
+    if (target.bufferedAmount > RELAY_HIGH_WATER) slow.push(target);
+  });
+  if (sender && slow.length > 0) pauseUntilDrained(sender, slow);
+}
+
+// Stop reading from the sender's TCP socket until slow receivers catch up;
+// the sender's own bufferedAmount then rises and its client slows down
+function pauseUntilDrained(sender, targets) {
+  if (sender.relayPaused || !sender._socket) return;
+  sender.relayPaused = true;
+  sender._socket.pause();
+
+  const timer = setInterval(() => {
+    const backedUp = targets.some(t => t.readyState === WebSocket.OPEN && t.bufferedAmount > RELAY_LOW_WATER);
+    if (backedUp && sender.readyState === WebSocket.OPEN) return;
+    clearInterval(timer);
+    sender.relayPaused = false;
+    if (sender._socket) sender._socket.resume();
+  }, 50);
+}
+
+// Events published by other instances
+pubsub.subscribe('session', ({ sessionId, to, message, frame }) => {
+  if (!frame && !to) {
+    deliverToSession(sessionId, message);
+    return;
+  }
+  const targets = [];
+  wss.clients.forEach(client => {
+    if (client.sessionId === sessionId && (!to || client.clientId === to)) targets.push(client);
+  });
+  relayToSockets(null, targets, frame ? Buffer.from(frame, 'base64') : JSON.stringify(message), !!frame);
+});
+pubsub.subscribe('whisper', ({ to, roomId, message, frame, evict, replaced }) => {
+  if (replaced) {
+    if (whisperUsers.has(replaced)) replaceWhisperSocket(replaced);
+  } else if (evict) {
+    if (whisperUsers.has(evict.clientId)) evictWhisperUser(evict.clientId, evict.roomId, evict.reason);
+  } else if (frame) {
+    const targetUser = whisperUsers.get(to);
+    if (targetUser) relayToSockets(null, [targetUser.ws], Buffer.from(frame, 'base64'), true);
+  } else if (to) {
+    deliverToWhisperUser(to, message);
+  } else {
+    deliverToWhisperRoom(roomId, message);
+  }
+});
+pubsub.subscribe('admin', ({ kick }) => {
+  if (kick && kickSocket(kick)) console.log(`Admin kicked socket ${kick} (via another instance)`);
+});
+
+// Close a session or whisper socket on this instance; the usual close handlers clean up after it
+function kickSocket(clientId) {
+  let found = false;
+  [wss, whisperWss].forEach(server => server.clients.forEach(client => {
+    if (client.clientId !== clientId) return;
+    found = true;
+    if (client.readyState === WebSocket.OPEN) {
+      client.send(JSON.stringify({ type: 'kicked', reason: 'removed_by_admin' }));
+    }
+    client.close(1008, 'Removed by an administrator');
+  }));
+  return found;
+}
+
+function sendSessionError(ws, type, code, error) {
+  if (ws.readyState !== WebSocket.OPEN) return;
+  ws.send(JSON.stringify({ type: 'error', for: type, code, error }));
+}
+
+// The owner, or anyone once the sender opened the session up as a drop box
+function canShareOnSessionSocket(ws) {
+  const session = sessions.get(ws.sessionId);
+  return !!session && (ws.isOwner || !!session.allowReceiverUploads);
+}
+
+// The fields of an announce_file that get stored with the session, or null if any is unusable.
+// A type that isn't a MIME type is stored as application/octet-stream. Encrypted sessions
+// get the same placeholders as uploads, plus the optional `sealed` name and type.
+function parseFileAnnouncement(message, encrypted) {
+  const { fileId, fileName, fileSize, fileType, sealed } = message;
+  if (typeof fileId !== 'string' || !fileId || fileId.length > SOCKET_FILE_ID_MAX) return null;
+  if (!Number.isSafeInteger(fileSize) || fileSize < 0 || fileSize > MAX_UPLOAD_SIZE) return null;
+  if (encrypted) {
+    if (sealed !== undefined && (typeof sealed !== 'string' || sealed.length > E2E_SEALED_FILE_LIMIT || !/^[A-Za-z0-9+/_-]+={0,2}$/.test(sealed))) return null;
+    return { fileId, fileName: `${fileId}.enc`, fileSize, fileType: 'application/octet-stream', sealed: sealed || null };
+  }
+  if (typeof fileName !== 'string' || !fileName || fileName.length > SOCKET_FILE_NAME_MAX || /[\x00-\x1f\x7f]/.test(fileName)) return null;
+  return {
+    fileId,
+    fileName,
+    fileSize,
+    fileType: typeof fileType === 'string' && MIME_TYPE_PATTERN.test(fileType) ? fileType.toLowerCase() : 'application/octet-stream',
+    sealed: null
+  };
+}
+
+// Over LIMIT_WS_MESSAGES_PER_SECOND: close with 1008 (policy violation) and drop the rest
+function isFlooding(ws) {
+  if (allowSocketMessage(ws)) return false;
+  if (ws.readyState === WebSocket.OPEN) {
+    console.log(`Closing socket ${ws.clientId || 'unknown'}: over ${WS_MESSAGES_PER_SECOND} messages/s`);
+    ws.close(1008, 'Too many messages');
+  }
+  return true;
+}
+
+// Uploads remember a hash of the client's IP (never the IP itself) for the per-IP quota
+function getClientKey(req) {
+  return hashSecretToken(req.ip || 'unknown');
+}
+
+// Bytes a session holds or has been promised: files, quarantine and resumable uploads in progress
+function getSessionUsage(session) {
+  return [...session.files, ...(session.quarantine || []), ...Object.values(session.uploads || {})]
+    .reduce((total, file) => total + (file.size || 0), 0);
+}
+
+// The same across every live session and whisper file, for one client
+function getClientUsage(clientKey) {
+  let total = 0;
+  const add = (file) => {
+    if (file.uploaderKey === clientKey) total += file.size || 0;
+  };
+  sessions.forEach(session => {
+    if (!session.active) return;
+    session.files.forEach(add);
+    (session.quarantine || []).forEach(add);
+    Object.values(session.uploads || {}).forEach(add);
+  });
+  whisperFiles.forEach(add);
+  whisperQuarantine.forEach(add);
+  return total;
+}
+
+// How many more bytes this request may store, and whose quota is the tighter one
+function getUploadAllowance(req, session) {
+  const sessionLeft = session ? SESSION_QUOTA_BYTES - getSessionUsage(session) : Infinity;
+  const clientLeft = IP_QUOTA_BYTES - getClientUsage(getClientKey(req));
+  return sessionLeft <= clientLeft
+    ? { scope: 'session', bytes: Math.max(0, sessionLeft) }
+    : { scope: 'ip', bytes: Math.max(0, clientLeft) };
+}
+
+function rejectOverQuota(res, allowance) {
+  // Don't keep reading a body we're refusing
+  res.setHeader('Connection', 'close');
+  return res.status(413).json({
+    error: allowance.scope === 'session' ? 'Session storage quota exceeded' : 'Storage quota for your address exceeded',
+    quota: allowance.scope,
+    remainingBytes: Number.isFinite(allowance.bytes) ? allowance.bytes : null
+  });
+}
+
+// Check free space for an upload and hold `bytes` of it until the response ends.
+// Also drops the request if the client stops sending (see UPLOAD_IDLE_TIMEOUT).
+function holdDiskSpace(req, res, bytes) {
+  if (!diskGuard.canAccept(bytes || 0)) {
+    rejectLowDisk(res);
+    return false;
+  }
+  res.on('close', diskGuard.reserve(bytes));
+  req.setTimeout(UPLOAD_IDLE_TIMEOUT, () => {
+    console.log(`Dropping stalled upload: ${req.method} ${req.originalUrl}`);
+    req.destroy();
+  });
+  return true;
+}
+
+function isDiskFull(err) {
+  return err.code === 'ENOSPC' || err.code === 'EDQUOT';
+}
+
+function rejectLowDisk(res) {
+  res.setHeader('Connection', 'close');
+  res.setHeader('Retry-After', 300);
+  return res.status(507).json({ error: 'Server is low on disk space, try again later' });
+}
+
+// Files visible to receivers: completed uploads plus live socket relays
+function getSessionFilesList(session) {
+  const now = Date.now();
+  return [
+    ...(session.files.map(f => {
+      const limits = getFileLimits(session, f);
+      const stats = downloadStats.get(`${session.id}-${f.id}`);
+      const completed = stats ? stats.completed : 0;
+      return {
+        id: f.id,
+        name: f.originalName,
+        size: f.size,
+        type: f.mimetype,
+        folder: f.folder || '',
+        path: joinFolderPath(f.folder, f.originalName),
+        uploadedBy: f.uploadedBy || 'sender',
+        expiresAt: limits.expiresAt,
+        expiresIn: Math.max(0, limits.expiresAt - now),
+        maxDownloads: limits.maxDownloads,
+        downloadsRemaining: limits.maxDownloads ? Math.max(0, limits.maxDownloads - completed) : null,
+        burnAfterDownload: limits.burnAfterDownload,
+        // What /preview will return: 'image', 'pdf', 'svg', 'text' or null
+        preview: session.encrypted || limits.burnAfterDownload ? null : (f.preview ? f.preview.kind : guessPreviewKind(f))
+      };
+    })),
+    ...(session.socketFiles || [])
+  ];
+}
+
+// What link previews may show about a session. Names stay hidden unless the sender
+// allowed them, and always for password-protected or encrypted sessions.
+function getSharePreview(session) {
+  const files = getSessionFilesList(session);
+  const namesAllowed = session.showFileNames && !session.passwordHash && !session.encrypted;
+  return {
+    senderName: session.senderName,
+    fileCount: files.length,
+    totalSize: files.reduce((sum, file) => sum + (file.size || 0), 0),
+    fileNames: namesAllowed ? files.map(file => file.path || file.name) : [],
+    expiresIn: getSessionExpiry(session) - Date.now()
+  };
+}
+
+// Open Graph / Twitter card tags for /join/:sessionId
+function getShareMetaTags(session) {
+  const tags = { 'og:site_name': 'Heksta', 'og:type': 'website', 'twitter:card': 'summary' };
+
+  if (!session || getSessionExpiry(session) <= Date.now()) {
+    tags['og:title'] = 'Heksta';
+    tags['og:description'] = 'This share link has expired or does not exist.';
+  } else {
+    const preview = getSharePreview(session);
+    const { joinLink, serverUrl } = getShareLinks(session.id);
+    const files = `${preview.fileCount} ${preview.fileCount === 1 ? 'file' : 'files'}`;
+    let description = `${files}, ${formatBytes(preview.totalSize)}`;
+    if (preview.fileNames.length > 0) {
+      const listed = preview.fileNames.slice(0, 5).join(', ');
+      description += `: ${listed}${preview.fileNames.length > 5 ? ', ...' : ''}`;
+    }
+
+    tags['og:title'] = `${preview.senderName || 'Someone'} is sharing ${files} with you`;
+    tags['og:description'] = description;
+    tags['og:url'] = joinLink;
+    tags['og:image'] = `${serverUrl}/api/session/${session.id}/card.png`;
+    tags['og:image:type'] = 'image/png';
+    tags['og:image:width'] = String(CARD_WIDTH);
+    tags['og:image:height'] = String(CARD_HEIGHT);
+    tags['twitter:card'] = 'summary_large_image';
+    tags['twitter:image'] = tags['og:image'];
+  }
+  tags['twitter:title'] = tags['og:title'];
+  tags['twitter:description'] = tags['og:description'];
+
+  const meta = Object.entries(tags).map(([key, value]) => (
+    key.startsWith('og:')
+      ? `<meta property="${key}" content="${escapeHtml(value)}">`
+      : `<meta name="${key}" content="${escapeHtml(value)}">`
+  ));
+  // Share links are private: keep them out of search results
+  meta.push('<meta name="robots" content="noindex, nofollow">');
+  return { title: tags['og:title'], html: meta.join('\n    ') };
+}
+
+// Delete a file from disk and from the session once it expires or runs out of downloads
+function removeSessionFile(sessionId, fileId, reason) {
+  const session = sessions.get(sessionId);
+  if (!session) return;
+  const file = session.files.find(f => f.id === fileId);
+  if (!file) return;
+
+  // Downloads still streaming keep their open handle; new ones get 404
+  removeStoredFile(file.key);
+  if (file.preview && file.preview.key) removeStoredFile(file.preview.key);
+  session.files = session.files.filter(f => f.id !== fileId);
+  sessions.set(sessionId, session);
+
+  console.log(`Removed file ${fileId} from session ${sessionId} (${reason})`);
+
+  broadcastToSession(sessionId, {
+    type: 'file_removed',
+    fileId,
+    reason
+  });
+  broadcastToSession(sessionId, {
+    type: 'files_updated',
+    files: getSessionFilesList(session)
+  });
+}
+
+// Cached preview for a file, rendering it if there isn't one yet
+async function getFilePreview(session, file) {
+  const cached = file.preview;
+  if (cached && cached.key && await fileStorage.stat(cached.key)) return cached;
+  if (cached && !cached.key && (cached.reason !== 'failed' || Date.now() - cached.createdAt < PREVIEW_RETRY_MS)) {
+    return cached;
+  }
+
+  const jobKey = `${session.id}:${file.id}`;
+  if (!previewJobs.has(jobKey)) {
+    previewJobs.set(jobKey, renderFilePreview(session.id, file).finally(() => previewJobs.delete(jobKey)));
+  }
+  return previewJobs.get(jobKey);
+}
+
+async function renderFilePreview(sessionId, file) {
+  let preview;
+  try {
+    const result = await previewer.generate(file);
+    if (result.kind) {
+      const key = previewFileKey(sessionId, file.id, result.extension);
+      await fileStorage.put(key, Readable.from([result.data]), { contentType: result.contentType, size: result.data.length });
+      preview = { kind: result.kind, key, contentType: result.contentType, size: result.data.length, createdAt: Date.now() };
+    } else {
+      preview = { kind: null, reason: result.reason, createdAt: Date.now() };
+    }
+  } catch (err) {
+    console.error(`Preview failed for file ${file.id}:`, err.message);
+    preview = { kind: null, reason: 'failed', createdAt: Date.now() };
+  }
+
+  // The file may have gone (or the session closed) while we were rendering
+  const session = sessions.get(sessionId);
+  const current = session && session.active && session.files.find(f => f.id === file.id);
+  if (!current) {
+    if (preview.key) removeStoredFile(preview.key);
+    return { kind: null, reason: 'removed' };
+  }
+
+  current.preview = preview;
+  sessions.set(sessionId, session);
+  return preview;
+}
+
+// Hold new uploads back from session.files until inspectSessionFile passes them
+function quarantineSessionFiles(sessionId, files) {
+  const session = sessions.get(sessionId);
+  session.quarantine = [...(session.quarantine || []), ...files];
+  sessions.set(sessionId, session);
+  files.forEach(file => inspectSessionFile(sessionId, file.id));
+}
+
+// Sniff, check and scan a quarantined upload, then publish it or throw it away
+async function inspectSessionFile(sessionId, fileId) {
+  const findPending = () => {
+    const session = sessions.get(sessionId);
+    const file = session && session.active && (session.quarantine || []).find(f => f.id === fileId);
+    return file ? { session, file } : null;
+  };
+  const pending = findPending();
+  if (!pending) return;
+  const stagingPath = getStagingPath(sessionId, pending.file.filename);
+
+  let result;
+  try {
+    result = pending.session.encrypted
+      // Ciphertext: nothing to sniff or scan
+      ? { status: 'clean', mimetype: 'application/octet-stream', scanned: false }
+      : await uploadInspector.inspect({
+        path: stagingPath,
+        name: pending.file.originalName,
+        claimedType: pending.file.mimetype,
+        size: pending.file.size
+      });
+    if (result.status === 'clean') {
+      await fileStorage.putFile(pending.file.key, stagingPath, { contentType: result.mimetype });
+    }
+  } catch (err) {
+    console.error(`Inspecting upload ${fileId} failed:`, err);
+    result = { status: 'rejected', reason: 'upload_failed' };
+  }
+
+  // The session may have closed while we were busy
+  const current = findPending();
+  if (!current) {
+    if (result.status === 'clean') removeStoredFile(pending.file.key);
+    return;
+  }
+  const { session, file } = current;
+  session.quarantine = session.quarantine.filter(f => f.id !== fileId);
+
+  if (result.status !== 'clean') {
+    fs.promises.rm(stagingPath, { force: true })
+      .catch(err => console.error(`Removing rejected upload ${fileId} failed:`, err.message));
+    sessions.set(sessionId, session);
+    console.log(`Rejected upload ${fileId} in session ${sessionId}: ${result.reason}${result.signature ? ` (${result.signature})` : ''}`);
+    broadcastToSession(sessionId, {
+      type: 'file_rejected',
+      fileId,
+      name: file.originalName,
+      path: joinFolderPath(file.folder, file.originalName),
+      reason: result.reason,
+      signature: result.signature
+    });
+    return;
+  }
+
+  session.files = [...session.files, { ...file, mimetype: result.mimetype, scanned: result.scanned }];
+  sessions.set(sessionId, session);
+  broadcastToSession(sessionId, {
+    type: 'files_updated',
+    files: getSessionFilesList(session)
+  });
+}
+
+// Same for whisper uploads: publish to whisperFiles, or drop and tell the room
+async function inspectWhisperFile(fileId, stagingPath) {
+  const file = whisperQuarantine.get(fileId);
+  let result;
+  try {
+    result = file.encrypted
+      // Ciphertext: nothing to sniff or scan
+      ? { status: 'clean', mimetype: 'application/octet-stream', scanned: false }
+      : await uploadInspector.inspect({
+        path: stagingPath,
+        name: file.originalName,
+        claimedType: file.mimetype,
+        size: file.size
+      });
+    if (result.status === 'clean') {
+      await fileStorage.putFile(file.key, stagingPath, { contentType: result.mimetype });
+    }
+  } catch (err) {
+    console.error(`Inspecting whisper upload ${fileId} failed:`, err);
+    result = { status: 'rejected', reason: 'upload_failed' };
+  }
+
+  // Deleted by an admin while it was being inspected
+  if (!whisperQuarantine.has(fileId)) {
+    fs.promises.rm(stagingPath, { force: true }).catch(() => {});
+    if (result.status === 'clean') removeStoredFile(file.key);
+    return;
+  }
+  whisperQuarantine.delete(fileId);
+
+  if (result.status !== 'clean') {
+    fs.promises.rm(stagingPath, { force: true })
+      .catch(err => console.error(`Removing rejected whisper upload ${fileId} failed:`, err.message));
+    console.log(`Rejected whisper upload ${fileId}: ${result.reason}${result.signature ? ` (${result.signature})` : ''}`);
+    notifyWhisperFile(file, {
+      type: 'file_rejected',
+      fileId,
+      fileName: file.originalName,
+      reason: result.reason,
+      signature: result.signature
+    });
+    return;
+  }
+
+  whisperFiles.set(fileId, { ...file, mimetype: result.mimetype });
+  scheduleWhisperExpiry(fileId);
+  notifyWhisperFile(file, { type: 'file_ready', fileId, fileName: file.originalName, mimeType: result.mimetype });
+}
+
+// Private whisper files concern the sender and recipient, group files the group; the rest, the whole room
+function notifyWhisperFile(file, message) {
+  if (file.groupId) {
+    whisperGroups.members(file.groupId)
+      .then(members => members.forEach(member => sendToWhisperUser(member.id, message)))
+      .catch(err => console.error(`Notifying group ${file.groupId} failed:`, err.message));
+    return;
+  }
+  if (file.to) {
+    sendToWhisperUser(file.to, message);
+    sendToWhisperUser(file.uploadedBy, message);
+    return;
+  }
+  deliverToWhisperRoom(file.roomId, message);
+  pubsub.publish('whisper', { roomId: file.roomId, message }).catch(logPubSubError);
+}
+
+// Remove the file as soon as a download limit is reached
+function enforceDownloadLimits(sessionId, fileId) {
+  const session = sessions.get(sessionId);
+  const file = session && session.files.find(f => f.id === fileId);
+  if (!file) return;
+
+  const limits = getFileLimits(session, file);
+  const stats = downloadStats.get(`${sessionId}-${fileId}`);
+  const completed = stats ? stats.completed : 0;
+
+  if (limits.burnAfterDownload && completed >= 1) {
+    removeSessionFile(sessionId, fileId, 'burned');
+  } else if (limits.maxDownloads && completed >= limits.maxDownloads) {
+    removeSessionFile(sessionId, fileId, 'download_limit');
+  }
+}
+
+// Downloads that may still start: finished ones plus those in flight count against the limit
+function canStartDownload(session, file) {
+  const limits = getFileLimits(session, file);
+  if (limits.expiresAt <= Date.now()) return false;
+  const max = limits.burnAfterDownload ? 1 : limits.maxDownloads;
+  if (!max) return true;
+  const stats = downloadStats.get(`${session.id}-${file.id}`);
+  return !stats || stats.completed + stats.active < max;
+}
+
+// Tear down a session: used by the close route, expiry and the cleanup sweep
+function closeSession(sessionId, reason) {
+  const session = sessions.get(sessionId);
+  if (!session) return;
+
+  session.active = false;
+  sessions.set(sessionId, session);
+
+  // Clean up files, plus anything still staged locally (resumable partials)
+  fileStorage.deletePrefix(`${sessionId}/`)
+    .catch(err => console.error(`Storage cleanup failed for session ${sessionId}:`, err.message));
+  const uploadDir = path.join(UPLOADS_DIR, sessionId);
+  if (fs.existsSync(uploadDir)) {
+    fs.rmSync(uploadDir, { recursive: true, force: true });
+  }
 
-  ws.on('close', () => {
-    const session = sessions.get(sessionId);
-    if (session) {
-      session.connectedClients = Math.max(0, session.connectedClients - 1);
-      sessions.set(sessionId, session);
+  chunkReceipts.forgetSession(sessionId);
 
-      broadcastToSession(sessionId, {
-        type: 'client_disconnected',
-        clientId,
-        connectedClients: session.connectedClients
+  // Notify clients
+  broadcastToSession(sessionId, {
+    type: 'session_closed',
+    reason
+  });
+}
+
+// Drop expired sessions and files. Runs every minute; canStartDownload covers the gap in between.
+function enforceExpiry() {
+  const now = Date.now();
+  sessions.forEach((session, sessionId) => {
+    if (getSessionExpiry(session) <= now) {
+      if (session.active) closeSession(sessionId, 'expired');
+      sessions.delete(sessionId);
+      downloadStats.forEach((stats, key) => {
+        if (stats.sessionId === sessionId) downloadStats.delete(key);
       });
+      return;
     }
+    session.files
+      .filter(f => f.expiresAt && f.expiresAt <= now)
+      .forEach(f => removeSessionFile(sessionId, f.id, 'expired'));
   });
+}
 
-  ws.on('error', (error) => {
-    console.error('WebSocket error:', error);
+// Broadcast message to all clients in a session, on this and every other instance
+function broadcastToSession(sessionId, message) {
+  deliverToSession(sessionId, message);
+  pubsub.publish('session', { sessionId, message }).catch(logPubSubError);
+}
+
+function deliverToSession(sessionId, message) {
+  wss.clients.forEach(client => {
+    if (client.sessionId === sessionId && client.readyState === WebSocket.OPEN) {
+      client.send(JSON.stringify(message));
+    }
   });
-});
+}
 
+function findSessionClient(sessionId, clientId) {
+  for (const client of wss.clients) {
+    if (client.sessionId === sessionId && client.clientId === clientId) return client;
+  }
+  return null;
+}
 
-// Whisper Mode WebSocket connection handling
-// Heartbeat: every 15s ping all clients; remove any that don't pong back
-const WHISPER_HEARTBEAT_INTERVAL = 15000;
+// Send to one client of a session, wherever it's connected
+function sendToSessionClient(sessionId, clientId, message) {
+  const client = findSessionClient(sessionId, clientId);
+  if (client) {
+    if (client.readyState === WebSocket.OPEN) client.send(JSON.stringify(message));
+    return;
+  }
+  pubsub.publish('session', { sessionId, to: clientId, message }).catch(logPubSubError);
+}
 
-const whisperHeartbeat = setInterval(() => {
-  whisperWss.clients.forEach(wsClient => {
-    if (wsClient.isAlive === false) {
-      // Client didn't respond to last ping — terminate it
-      wsClient.terminate();
-      return;
-    }
-    wsClient.isAlive = false;
-    wsClient.ping();
+function findSocketFile(sessionId, fileId) {
+  const session = sessions.get(sessionId);
+  return (session && session.socketFiles || []).find(f => f.id === fileId) || null;
+}
+
+// Per-receiver progress of a socket-relayed file, sent to the client relaying it
+// (the socket counterpart of download_stats)
+function reportTransferProgress(sessionId, file, entry, status) {
+  entry.reportedAt = Date.now();
+  if (!file.senderId) return;
+  sendToSessionClient(sessionId, file.senderId, {
+    type: 'transfer_progress',
+    fileId: file.id,
+    receiverId: entry.receiverId,
+    receivedChunks: entry.received,
+    totalChunks: file.totalChunks || null,
+    progress: file.totalChunks ? Math.min(100, Math.round((entry.received / file.totalChunks) * 100)) : null,
+    status
   });
-}, WHISPER_HEARTBEAT_INTERVAL);
+}
 
-whisperWss.on('close', () => clearInterval(whisperHeartbeat));
+// Pick the signalling fields out of an rtc_* message; null if it's malformed or too big
+function getRtcSignal(message) {
+  const { to, transferId, fileId, sdp, candidate } = message;
+  if (typeof to !== 'string' || typeof transferId !== 'string') return null;
+  const signal = { transferId, fileId, sdp, candidate };
+  if (JSON.stringify(signal).length > RTC_SIGNAL_LIMIT) return null;
+  return signal;
+}
 
-whisperWss.on('connection', (ws, req) => {
-  const clientId = uuidv4();
-  ws.clientId = clientId;
-  ws.isAlive = true; // Mark alive on connect
+function getDownloadStats(sessionId, fileId) {
+  const key = `${sessionId}-${fileId}`;
+  if (!downloadStats.has(key)) {
+    downloadStats.set(key, {
+      sessionId,
+      fileId,
+      started: 0,
+      completed: 0,
+      failed: 0,
+      active: 0
+    });
+  }
+  const stats = downloadStats.get(key);
+  // How each transfer went: HTTP download, WebRTC peer-to-peer or socket relay
+  if (!stats.paths) stats.paths = Object.fromEntries(TRANSFER_PATHS.map(p => [p, 0]));
+  return stats;
+}
 
-  // Respond to heartbeat pings
-  ws.on('pong', () => { ws.isAlive = true; });
+// Send `size` bytes read through open({ start, end }) with Range, conditional and HEAD
+// handling. track.start/complete/partial/failure follow the response: it counts as
+// complete only once this client has had every byte (see createDeliveryTracker), so
+// earlier ranges of a resumed transfer, or a range from the end, don't use up download limits.
+async function serveRanges(req, res, { size, contentType, validators, open, track }) {
+  res.set({
+    'Accept-Ranges': 'bytes',
+    'ETag': validators.etag,
+    'Last-Modified': new Date(validators.lastModified).toUTCString()
+  });
 
-  ws.on('message', (data) => {
-    try {
-      const message = JSON.parse(data);
+  const precondition = checkPreconditions(req, validators);
+  if (precondition) {
+    return res.status(precondition).end();
+  }
 
-      switch (message.type) {
-        case 'join': {
-          const userName = (message.name || 'Anonymous').trim().slice(0, 30);
-          const roomId = message.roomId || 'global';
-          whisperUsers.delete(clientId);
-          whisperUsers.set(clientId, {
-            id: clientId,
-            name: userName,
-            roomId,
-            ws,
-            joinedAt: Date.now()
-          });
-          // Send clientId back to the client
-          ws.send(JSON.stringify({ type: 'connected', clientId }));
-          console.log(`Whisper: User ID (${clientId}) joined room ${roomId}. Total: ${whisperUsers.size}`);
-          broadcastWhisperUserList(roomId);
-          break;
-        }
-        case 'private_message': {
-          const { to, content } = message;
-          const targetUser = whisperUsers.get(to);
-          if (targetUser && targetUser.ws.readyState === WebSocket.OPEN) {
-            targetUser.ws.send(JSON.stringify({
-              type: 'private_message',
-              from: clientId,
-              fromName: whisperUsers.get(clientId)?.name || 'Unknown',
-              content,
-              timestamp: Date.now()
-            }));
-          }
-          break;
-        }
+  // A stale If-Range means the client's partial copy is out of date: send the whole thing
+  const ranges = ifRangeMatches(req, validators) ? parseRange(req.headers.range, size) : null;
+  if (ranges && ranges.length === 0) {
+    res.set('Content-Range', `bytes */${size}`);
+    return res.status(416).json({ error: 'Requested range not satisfiable' });
+  }
 
-        case 'private_file_chunk': {
-          const { to, chunk, fileId, isLast, fileName, fileType, fileSize } = message;
-          const targetUser = whisperUsers.get(to);
-          if (targetUser && targetUser.ws.readyState === WebSocket.OPEN) {
-            targetUser.ws.send(JSON.stringify({
-              type: 'private_file_chunk',
-              from: clientId,
-              fromName: whisperUsers.get(clientId)?.name || 'Unknown',
-              chunk,
-              fileId,
-              isLast,
-              fileName,
-              fileType,
-              fileSize,
-              timestamp: Date.now()
-            }));
-          }
-          break;
-        }
-        case 'file_message': {
-          const { to, fileId, fileName, fileSize, mimeType } = message;
-          const targetUser = whisperUsers.get(to);
-          if (targetUser && targetUser.ws.readyState === WebSocket.OPEN) {
-            targetUser.ws.send(JSON.stringify({
-              type: 'file_message',
-              from: clientId,
-              fromName: whisperUsers.get(clientId)?.name || 'Unknown',
-              fileId,
-              fileName,
-              fileSize,
-              mimeType,
-              timestamp: Date.now()
-            }));
-          }
-          break;
-        }
-        case 'typing': {
-          const { to, isTyping } = message;
-          const targetUser = whisperUsers.get(to);
-          if (targetUser && targetUser.ws.readyState === WebSocket.OPEN) {
-            targetUser.ws.send(JSON.stringify({
-              type: 'typing',
-              from: clientId,
-              isTyping
-            }));
-          }
-          break;
-        }
+  const multipart = ranges && ranges.length > 1 ? buildMultipartBody(ranges, size, contentType) : null;
+  const range = ranges && ranges.length === 1 ? ranges[0] : null;
 
-      } // end switch
+  let status = 200;
+  let headers = { 'Content-Length': size, 'Content-Type': contentType };
+  if (range) {
+    status = 206;
+    headers = {
+      'Content-Range': `bytes ${range.start}-${range.end}/${size}`,
+      'Content-Length': (range.end - range.start) + 1,
+      'Content-Type': contentType
+    };
+  } else if (multipart) {
+    status = 206;
+    headers = { 'Content-Length': multipart.length, 'Content-Type': multipart.contentType };
+  }
+
+  // HEAD: same headers, no body, not a download
+  if (req.method === 'HEAD') {
+    res.writeHead(status, headers);
+    return res.end();
+  }
+
+  let stream;
+  if (!multipart) {
+    try {
+      stream = await open(range || {});
     } catch (err) {
-      console.error('Whisper message error:', err);
+      console.error('Download failed: could not open stream:', err);
+      return res.status(500).json({ error: 'Storage unavailable' });
     }
-  });
+  }
 
+  track.start();
 
-  ws.on('close', () => {
-    if (whisperUsers.has(clientId)) {
-      const user = whisperUsers.get(clientId);
-      const roomId = user.roomId;
-      console.log(`Whisper: User ID (${clientId}) disconnected from room ${roomId}. Total: ${whisperUsers.size - 1}`);
-      whisperUsers.delete(clientId);
-      broadcastWhisperUserList(roomId);
-
-      // Ephemeral cleanup: delete all files uploaded by this user
-      for (const [fileId, fileData] of whisperFiles.entries()) {
-        if (fileData.uploadedBy === clientId) {
-          if (fs.existsSync(fileData.path)) fs.unlinkSync(fileData.path);
-          whisperFiles.delete(fileId);
-        }
-      }
+  const served = ranges || [{ start: 0, end: size - 1 }];
+  const deliveryKey = `${validators.etag}:${getClientKey(req)}`;
+  const expectedBytes = served.reduce((total, r) => total + (r.end - r.start) + 1, 0);
+  let bytesSent = 0;
+  let failed = false;
+
+  const handleError = (error) => {
+    if (failed) return;
+    failed = true;
+    track.failure(error);
+  };
+  const countBytes = (chunk) => { bytesSent += chunk.length; };
+  // Hand what went out to the tracker, range by range in the order they were sent
+  const recordDelivery = () => {
+    let remaining = bytesSent;
+    for (const r of served) {
+      const length = Math.min((r.end - r.start) + 1, remaining);
+      if (downloadDeliveries.record(deliveryKey, r.start, Math.max(length, 0), size)) return true;
+      remaining -= length;
+      if (remaining <= 0) return false;
     }
-  });
+    return false;
+  };
 
-  ws.on('error', (err) => {
-    console.error('Whisper WS error:', err.message);
-    if (whisperUsers.has(clientId)) {
-      const user = whisperUsers.get(clientId);
-      const roomId = user.roomId;
-      whisperUsers.delete(clientId);
-      broadcastWhisperUserList(roomId);
-      for (const [fileId, fileData] of whisperFiles.entries()) {
-        if (fileData.uploadedBy === clientId) {
-          if (fs.existsSync(fileData.path)) fs.unlinkSync(fileData.path);
-          whisperFiles.delete(fileId);
-        }
+  res.on('error', handleError);
+  // 'finish' is skipped when the client hangs up right after the last byte, so decide on 'close'
+  // by how much we streamed. Anything short means the client went away mid-transfer.
+  res.on('close', () => {
+    const complete = recordDelivery();
+    if (res.writableEnded || bytesSent >= expectedBytes) {
+      if (complete) {
+        track.complete();
+      } else {
+        track.partial();
       }
+    } else {
+      handleError(new Error('Download aborted'));
     }
   });
 
-});
+  res.writeHead(status, headers);
 
-function broadcastWhisperUserList(roomId) {
-  const usersInRoom = Array.from(whisperUsers.values()).filter(u => u.roomId === roomId);
-  const userList = usersInRoom.map(u => ({
-    id: u.id,
-    name: u.name,
-    joinedAt: u.joinedAt
-  }));
+  if (multipart) {
+    streamMultipart(res, multipart.parts, open, countBytes).catch(err => {
+      if (res.destroyed) return; // Client went away; the close handler has it
+      handleError(err);
+      res.destroy(err);
+    });
+    return;
+  }
 
-  const message = JSON.stringify({
-    type: 'user_list',
-    users: userList
+  // High-performance piping
+  stream.on('data', countBytes);
+  stream.pipe(res);
+  stream.on('error', (err) => {
+    handleError(err);
+    res.destroy(err);
   });
+}
 
-  usersInRoom.forEach(user => {
-    if (user.ws.readyState === WebSocket.OPEN) {
-      user.ws.send(message);
+// multipart/byteranges body: part headers written as-is, ranges opened in turn
+async function streamMultipart(res, parts, open, onData) {
+  for (const part of parts) {
+    if (res.destroyed) return;
+    if (Buffer.isBuffer(part)) {
+      res.write(part);
+      continue;
     }
-  });
+    const stream = await open(part);
+    stream.on('data', onData);
+    await pipeline(stream, res, { end: false });
+  }
+  res.end();
 }
 
-// Broadcast message to all clients in a session
-function broadcastToSession(sessionId, message) {
-  wss.clients.forEach(client => {
-    if (client.sessionId === sessionId && client.readyState === WebSocket.OPEN) {
-      client.send(JSON.stringify(message));
+// Archives whose length isn't known up front (deflated zip, tar.gz): no ranges, and the
+// download counts once the whole stream has gone out
+function streamArchive(req, res, source, track) {
+  if (req.method === 'HEAD') {
+    source.destroy();
+    return res.end();
+  }
+
+  track.start();
+  let archiveDone = false;
+  source.on('end', () => { archiveDone = true; });
+  res.on('close', () => {
+    if (res.writableEnded || archiveDone) {
+      track.complete();
+    } else {
+      track.failure(new Error('Download aborted'));
     }
   });
+
+  pipeline(source, res).catch(err => {
+    if (!archiveDone && !res.destroyed) track.failure(err);
+  });
+}
+
+// Deflated zip through archiver. Already-compressed files are stored as they are, and
+// ZIP64 kicks in when the archive could pass 4GB.
+function streamDeflatedZip(req, res, entries, track) {
+  res.set('Content-Type', 'application/zip');
+  if (req.method === 'HEAD') return res.end();
+
+  const totalSize = entries.reduce((total, entry) => total + entry.size, 0);
+  const archive = archiver('zip', {
+    zlib: { level: 5 }, // Balanced compression
+    forceZip64: totalSize >= 0xFFFFFFFF
+  });
+
+  archive.on('warning', (err) => {
+    console.warn('Archive warning:', err.message);
+  });
+
+  // Add files one at a time: each 'entry' means the previous one is written, so only
+  // one storage stream (possibly a remote S3 object) is open at once
+  let nextIndex = 0;
+  const appendNext = async () => {
+    if (nextIndex >= entries.length) {
+      archive.finalize();
+      return;
+    }
+    const entry = entries[nextIndex++];
+    try {
+      const source = entry.size > 0 ? await entry.open({ start: 0, end: entry.size - 1 }) : Buffer.alloc(0);
+      archive.append(source, {
+        name: entry.name,
+        date: new Date(entry.mtimeMs || Date.now()),
+        store: isCompressedFile(entry.name, entry.mimetype)
+      });
+    } catch (err) {
+      archive.abort();
+      res.destroy(err);
+    }
+  };
+  archive.on('entry', appendNext);
+
+  streamArchive(req, res, archive, track);
+  appendNext();
 }
 
 // Track download statistics
 function trackDownloadStart(sessionId, fileId, clientId) {
   const key = `${sessionId}-${fileId}`;
-  if (!downloadStats.has(key)) {
-    downloadStats.set(key, {
-      sessionId,
-      fileId,
-      started: 0,
-      completed: 0,
-      failed: 0,
-      active: 0
-    });
-  }
-
-  const stats = downloadStats.get(key);
+  const stats = getDownloadStats(sessionId, fileId);
   stats.started++;
   stats.active++;
+  stats.paths.http++;
   downloadStats.set(key, stats);
 
   console.log(`Download started: ${key} (Total started: ${stats.started})`);
@@ -836,6 +3982,31 @@ function trackDownloadComplete(sessionId, fileId) {
       fileId,
       stats
     });
+
+    enforceDownloadLimits(sessionId, fileId);
+  }
+}
+
+// A socket file reached a receiver, peer-to-peer or through the relay
+function trackTransferPath(sessionId, fileId, transferPath) {
+  const stats = getDownloadStats(sessionId, fileId);
+  stats.paths[transferPath]++;
+  downloadStats.set(`${sessionId}-${fileId}`, stats);
+
+  broadcastToSession(sessionId, {
+    type: 'download_stats',
+    fileId,
+    stats
+  });
+}
+
+// A ranged request that finished without reaching the end of the file
+function trackDownloadPartial(sessionId, fileId) {
+  const key = `${sessionId}-${fileId}`;
+  if (downloadStats.has(key)) {
+    const stats = downloadStats.get(key);
+    stats.active = Math.max(0, stats.active - 1);
+    downloadStats.set(key, stats);
   }
 }
 
@@ -879,6 +4050,26 @@ if (!fs.existsSync(frontendPath)) {
   }
 }
 
+// Join links get link-preview tags before the SPA catch-all hands out index.html.
+// Without a frontend build we still answer with a bare page carrying the tags.
+app.get('/join/:sessionId', async (req, res) => {
+  const { title, html: metaTags } = getShareMetaTags(sessions.get(req.params.sessionId));
+
+  let page;
+  try {
+    page = await fs.promises.readFile(path.join(frontendPath, 'index.html'), 'utf8');
+    // Drop the app's generic preview tags so ours win
+    page = page.replace(/\s*<meta\s+(?:property|name)=["'](?:og|twitter):[^>]*>/gi, '');
+    page = page.replace(/<title>[^<]*<\/title>/i, `<title>${escapeHtml(title)}</title>`);
+    page = page.replace(/<\/head>/i, `  ${metaTags}\n  </head>`);
+  } catch (err) {
+    page = `<!doctype html>\n<html>\n  <head>\n    <meta charset="utf-8">\n    <title>${escapeHtml(title)}</title>\n    ${metaTags}\n  </head>\n  <body>${escapeHtml(title)}</body>\n</html>\n`;
+  }
+
+  res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+  res.type('html').send(page);
+});
+
 if (fs.existsSync(frontendPath)) {
   console.log(`Serving frontend from: ${frontendPath}`);
   app.use(express.static(frontendPath, {
@@ -932,21 +4123,171 @@ app.use('/api', (err, req, res, next) => {
   }
 });
 
-// Start server
-server.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
+// Restore persisted sessions and reconcile them with what is actually in storage
+async function rehydrateStore() {
+  store.load();
+  const now = Date.now();
+  const fileExists = async (key) => !!(await fileStorage.stat(key));
+
+  for (const [sessionId, session] of sessions) {
+    if (getSessionExpiry(session) <= now) {
+      sessions.delete(sessionId);
+      continue;
+    }
+    // Sessions saved before passwords were hashed
+    if (session.password) {
+      session.passwordHash = hashPassword(String(session.password));
+      delete session.password;
+    }
+    // Sockets and socket relays don't survive a restart
+    session.connectedClients = 0;
+    session.socketFiles = [];
+    // Records from before the storage driver only had a local path; drop files that are gone
+    const files = session.files.map(({ path: legacyPath, ...f }) => ({
+      ...f,
+      key: f.key || sessionFileKey(sessionId, f.filename)
+    }));
+    const present = await Promise.all(files.map(f => fileExists(f.key)));
+    session.files = files.filter((f, i) => present[i]);
+    // Resumable uploads can carry on after a restart as long as their partial file survived
+    session.uploads = session.uploads || {};
+    Object.keys(session.uploads).forEach(uploadId => {
+      if (!fs.existsSync(getPartialPath(sessionId, uploadId))) delete session.uploads[uploadId];
+    });
+    // Quarantined uploads get inspected again below, if their staged file survived
+    session.quarantine = (session.quarantine || []).filter(f => fs.existsSync(getStagingPath(sessionId, f.filename)));
+    sessions.set(sessionId, session);
+  }
+
+  for (const [fileId, file] of whisperFiles) {
+    if (!file.key) {
+      file.key = whisperFileKey(path.basename(file.path));
+      delete file.path;
+    }
+    if (now - file.uploadedAt > WHISPER_FILE_TTL || !(await fileExists(file.key))) {
+      removeStoredFile(file.key);
+      whisperFiles.delete(fileId);
+      continue;
+    }
+    scheduleWhisperExpiry(fileId);
+  }
+
+  downloadStats.forEach((stats, key) => {
+    if (!sessions.has(stats.sessionId)) {
+      downloadStats.delete(key);
+      return;
+    }
+    stats.active = 0;
+  });
+
+  await sweepOrphanUploads();
+  sessions.forEach((session, sessionId) => {
+    if (session.active) session.quarantine.forEach(f => inspectSessionFile(sessionId, f.id));
+  });
+  console.log(`Store (${store.driver}, storage ${fileStorage.name}): restored ${sessions.size} sessions, ${whisperFiles.size} whisper files`);
+}
+
+// Remove stored files that no session or whisper entry points to.
+// graceMs skips files still being written by an in-flight upload.
+async function sweepOrphanUploads(graceMs = 0) {
+  const now = Date.now();
+  const knownKeys = new Set();
+  sessions.forEach(session => {
+    if (!session.active) return;
+    session.files.forEach(f => {
+      knownKeys.add(f.key);
+      if (f.preview && f.preview.key) knownKeys.add(f.preview.key);
+    });
+    // With the local driver, quarantined files already sit where their key points
+    (session.quarantine || []).forEach(f => knownKeys.add(f.key));
+  });
+  whisperFiles.forEach(f => knownKeys.add(f.key));
+  whisperQuarantine.forEach(f => knownKeys.add(f.key));
+
+  const objects = await fileStorage.list('');
+  objects.forEach(({ key, mtimeMs }) => {
+    // Resumable partials are local staging, handled below
+    if (key.includes('/.partial/') || knownKeys.has(key) || now - mtimeMs <= graceMs) return;
+    console.log(`Removing orphan upload: ${key}`);
+    removeStoredFile(key);
+  });
+
+  sweepStaging(graceMs);
+}
+
+// Local staging: folders of unknown sessions, abandoned resumable partials and, when
+// storage is remote, multer files a crash left behind before they were moved out
+function sweepStaging(graceMs) {
+  if (!fs.existsSync(UPLOADS_DIR)) return;
+  const now = Date.now();
+  const isStale = (filePath) => now - fs.statSync(filePath).mtimeMs > graceMs;
+
+  fs.readdirSync(UPLOADS_DIR, { withFileTypes: true }).forEach(entry => {
+    if (!entry.isDirectory()) return;
+    const dir = path.join(UPLOADS_DIR, entry.name);
+    const session = sessions.get(entry.name);
+    if (entry.name !== '_whisper' && (!session || !session.active)) {
+      console.log(`Removing orphan upload folder: ${entry.name}`);
+      fs.rmSync(dir, { recursive: true, force: true });
+      return;
+    }
+
+    const partialDir = path.join(dir, '.partial');
+    if (session && fs.existsSync(partialDir)) {
+      fs.readdirSync(partialDir).forEach(name => {
+        const uploadId = path.basename(name, '.part');
+        const filePath = path.join(partialDir, name);
+        if (!(session.uploads && session.uploads[uploadId]) && isStale(filePath)) fs.rmSync(filePath, { force: true });
+      });
+    }
+
+    if (fileStorage.name !== 'local') {
+      const quarantined = new Set(entry.name === '_whisper'
+        ? Array.from(whisperQuarantine.values(), f => path.basename(f.key))
+        : (session.quarantine || []).map(f => f.filename));
+      fs.readdirSync(dir, { withFileTypes: true }).forEach(file => {
+        const filePath = path.join(dir, file.name);
+        if (file.isFile() && !quarantined.has(file.name) && isStale(filePath)) fs.rmSync(filePath, { force: true });
+      });
+    }
+  });
+}
+
+// Start server once storage has been reconciled
+rehydrateStore()
+  .catch(err => console.error('Failed to restore sessions:', err))
+  .then(() => {
+    fs.mkdirSync(UPLOADS_DIR, { recursive: true });
+    diskGuard.start();
+    server.listen(PORT, () => {
+      console.log(`Server running on port ${PORT}`);
+    });
+  });
+
+// Write pending store changes before Render/Docker stops the process
+['SIGTERM', 'SIGINT'].forEach(signal => {
+  process.on(signal, () => {
+    store.flush();
+    // Let the rest of the fleet drop our whisper users right away
+    pubsub.close().finally(() => process.exit(0));
+  });
 });
 
+// Expire sessions and files close to when the sender asked
+setInterval(enforceExpiry, 60 * 1000);
+
 // Cleanup inactive sessions
 setInterval(() => {
-  const now = Date.now();
-  sessions.forEach((session, sessionId) => {
-    if (now - session.createdAt > 4 * 60 * 60 * 1000) { // 4 hours
-      sessions.delete(sessionId);
-      const uploadDir = path.join(__dirname, 'uploads', sessionId);
-      if (fs.existsSync(uploadDir)) {
-        fs.rmSync(uploadDir, { recursive: true, force: true });
-      }
-    }
+  enforceExpiry();
+  // Catch folders left behind by crashes or sessions that never made it into the store
+  sweepOrphanUploads(30 * 60 * 1000)
+    .catch(err => console.error('Orphan sweep failed:', err.message));
+  verifyLimiter.prune();
+  sessionCreationLimiter.prune();
+  roomCreationLimiter.prune();
+  downloadDeliveries.prune();
+  // Rooms nobody has joined in a week; anyone still in one stays until they leave
+  whisperRooms.forEach((room, roomId) => {
+    if (Date.now() - room.lastJoinAt > WHISPER_ROOM_TTL) whisperRooms.delete(roomId);
   });
 }, 30 * 60 * 1000); // Check every 30 minutes
\ No newline at end of file
@@ -0,0 +1,178 @@
+const { PNG } = require('pngjs');
+const QRCode = require('qrcode');
+
+// Open Graph share card for join links: a 1200x630 PNG (the size chat apps and
+// social sites crop previews to). SVG would be simpler but most link unfurlers
+// won't render it, and we have no font rasteriser, so text is drawn with the
+// classic 5x7 bitmap font scaled up.
+
+const CARD_WIDTH = 1200;
+const CARD_HEIGHT = 630;
+const MARGIN = 80;
+
+const COLORS = {
+  background: [15, 23, 42],
+  accent: [99, 102, 241],
+  text: [248, 250, 252],
+  muted: [148, 163, 184],
+  white: [255, 255, 255],
+  black: [0, 0, 0]
+};
+
+// Printable ASCII (0x20-0x7e), 5 columns per glyph, least significant bit = top row
+const FONT = (
+  '0000000000' + '00005f0000' + '0007000700' + '147f147f14' + '242a7f2a12' + '2313086462' +
+  '3649552250' + '0005030000' + '001c224100' + '0041221c00' + '082a1c2a08' + '08083e0808' +
+  '0050300000' + '0808080808' + '0060600000' + '2010080402' + '3e5149453e' + '00427f4000' +
+  '4261514946' + '2141454b31' + '1814127f10' + '2745454539' + '3c4a494930' + '0171090503' +
+  '3649494936' + '064949291e' + '0036360000' + '0056360000' + '0008142241' + '1414141414' +
+  '4122140800' + '0201510906' + '324979413e' + '7e1111117e' + '7f49494936' + '3e41414122' +
+  '7f4141221c' + '7f49494941' + '7f09090101' + '3e41415132' + '7f0808087f' + '00417f4100' +
+  '2040413f01' + '7f08142241' + '7f40404040' + '7f0204027f' + '7f0408107f' + '3e4141413e' +
+  '7f09090906' + '3e4151215e' + '7f09192946' + '4649494931' + '01017f0101' + '3f4040403f' +
+  '1f2040201f' + '7f2018207f' + '6314081463' + '0304780403' + '6151494543' + '00007f4141' +
+  '0204081020' + '41417f0000' + '0402010204' + '4040404040' + '0001020400' + '2054545478' +
+  '7f48444438' + '3844444420' + '384444487f' + '3854545418' + '087e090102' + '081454543c' +
+  '7f08040478' + '00447d4000' + '2040443d00' + '007f102844' + '00417f4000' + '7c04180478' +
+  '7c08040478' + '3844444438' + '7c14141408' + '081414187c' + '7c08040408' + '4854545420' +
+  '043f444020' + '3c4040207c' + '1c2040201c' + '3c4030403c' + '4428102844' + '0c5050503c' +
+  '4464544c44' + '0008364100' + '00007f0000' + '0041360800' + '0201020402'
+);
+
+const glyphFor = (char) => {
+  const code = char.charCodeAt(0);
+  const index = code >= 0x20 && code <= 0x7e ? code - 0x20 : '?'.charCodeAt(0) - 0x20;
+  return Buffer.from(FONT.slice(index * 10, index * 10 + 10), 'hex');
+};
+
+// The bitmap font only has ASCII: strip accents ("José" -> "Jose") and swap anything else for "?"
+const toCardText = (value) => String(value || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[\r\n\t]+/g, ' ')
+  .replace(/[^\x20-\x7e]/g, '?')
+  .trim();
+
+const textWidth = (text, scale) => (text.length ? text.length * 6 * scale - scale : 0);
+
+// Cut text to fit maxWidth, ending in "..." if anything was dropped
+const fitText = (text, scale, maxWidth) => {
+  if (textWidth(text, scale) <= maxWidth) return text;
+  const maxChars = Math.max(0, Math.floor((maxWidth + scale) / (6 * scale)) - 3);
+  return `${text.slice(0, maxChars).trimEnd()}...`;
+};
+
+const formatBytes = (bytes) => {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes || 0;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(value < 10 ? 1 : 0)} ${units[unit]}`;
+};
+
+const createCanvas = (width, height, color) => {
+  const png = new PNG({ width, height });
+  for (let i = 0; i < png.data.length; i += 4) {
+    png.data[i] = color[0];
+    png.data[i + 1] = color[1];
+    png.data[i + 2] = color[2];
+    png.data[i + 3] = 255;
+  }
+  return png;
+};
+
+const fillRect = (png, x, y, width, height, color) => {
+  const x0 = Math.max(0, x);
+  const y0 = Math.max(0, y);
+  const x1 = Math.min(png.width, x + width);
+  const y1 = Math.min(png.height, y + height);
+  for (let row = y0; row < y1; row++) {
+    for (let col = x0; col < x1; col++) {
+      const i = (row * png.width + col) * 4;
+      png.data[i] = color[0];
+      png.data[i + 1] = color[1];
+      png.data[i + 2] = color[2];
+    }
+  }
+};
+
+const drawText = (png, text, x, y, scale, color) => {
+  [...text].forEach((char, n) => {
+    const glyph = glyphFor(char);
+    const left = x + n * 6 * scale;
+    for (let col = 0; col < 5; col++) {
+      for (let row = 0; row < 7; row++) {
+        if (glyph[col] & (1 << row)) fillRect(png, left + col * scale, y + row * scale, scale, scale, color);
+      }
+    }
+  });
+};
+
+// QR code of the join link on a white square (with the quiet zone scanners need)
+const drawQrCode = (png, text, x, y, size) => {
+  const { modules } = QRCode.create(text, { errorCorrectionLevel: 'M' });
+  const quietZone = 2;
+  const moduleSize = Math.floor(size / (modules.size + quietZone * 2));
+  const drawn = moduleSize * (modules.size + quietZone * 2);
+  const offsetX = x + Math.floor((size - drawn) / 2);
+  const offsetY = y + Math.floor((size - drawn) / 2);
+
+  fillRect(png, x, y, size, size, COLORS.white);
+  for (let row = 0; row < modules.size; row++) {
+    for (let col = 0; col < modules.size; col++) {
+      if (modules.get(row, col)) {
+        fillRect(png,
+          offsetX + (col + quietZone) * moduleSize,
+          offsetY + (row + quietZone) * moduleSize,
+          moduleSize, moduleSize, COLORS.black);
+      }
+    }
+  }
+};
+
+// { senderName, fileCount, totalSize, fileNames (only if the sender allows them), expiresIn, joinLink }
+const renderShareCard = ({ senderName, fileCount, totalSize, fileNames = [], expiresIn, joinLink }) => {
+  const png = createCanvas(CARD_WIDTH, CARD_HEIGHT, COLORS.background);
+  const qrSize = 320;
+  const qrX = CARD_WIDTH - MARGIN - qrSize;
+  const textMax = qrX - MARGIN - 48;
+
+  fillRect(png, 0, 0, 16, CARD_HEIGHT, COLORS.accent);
+  drawText(png, 'HEKSTA', MARGIN, 64, 5, COLORS.accent);
+
+  const sender = toCardText(senderName) || 'Someone';
+  drawText(png, fitText(sender, 8, textMax), MARGIN, 150, 8, COLORS.text);
+  drawText(png, 'is sharing files with you', MARGIN, 226, 4, COLORS.muted);
+
+  const summary = `${fileCount} ${fileCount === 1 ? 'file' : 'files'} - ${formatBytes(totalSize)}`;
+  drawText(png, fitText(summary, 6, textMax), MARGIN, 300, 6, COLORS.text);
+
+  const shown = fileNames.slice(0, 3);
+  shown.forEach((name, i) => {
+    drawText(png, fitText(toCardText(name), 3, textMax), MARGIN, 370 + i * 32, 3, COLORS.muted);
+  });
+  if (fileNames.length > shown.length) {
+    drawText(png, `+ ${fileNames.length - shown.length} more`, MARGIN, 370 + shown.length * 32, 3, COLORS.muted);
+  }
+
+  if (expiresIn > 0) {
+    const hours = Math.floor(expiresIn / 3600000);
+    const minutes = Math.max(1, Math.floor((expiresIn % 3600000) / 60000));
+    const label = hours >= 48 ? `${Math.floor(hours / 24)} days` : hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+    drawText(png, `Expires in ${label}`, MARGIN, CARD_HEIGHT - MARGIN - 28, 4, COLORS.muted);
+  }
+
+  if (joinLink) drawQrCode(png, joinLink, qrX, Math.floor((CARD_HEIGHT - qrSize) / 2), qrSize);
+
+  return PNG.sync.write(png);
+};
+
+module.exports = {
+  CARD_WIDTH,
+  CARD_HEIGHT,
+  formatBytes,
+  renderShareCard
+};
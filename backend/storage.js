@@ -0,0 +1,215 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+// Storage drivers for uploaded file contents. Keys look like `<sessionId>/<filename>`
+// or `_whisper/<filename>`. Every driver implements:
+//   putFile(key, localPath, { contentType })  move a finished upload from local staging into storage
+//   put(key, stream, { contentType, size })   store a stream
+//   getStream(key, { start, end })            -> Promise<Readable>, end inclusive like fs ranges
+//   stat(key)                                 -> Promise<{ size, mtimeMs } | null>
+//   delete(key)                               -> Promise
+//   deletePrefix(prefix)                      -> Promise
+//   list(prefix)                              -> Promise<[{ key, size, mtimeMs }]>
+
+// Files on local disk under `root` (the default, and what the app always used)
+const createLocalDriver = ({ root }) => {
+  const resolve = (key) => {
+    const fullPath = path.resolve(root, key);
+    if (!fullPath.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return fullPath;
+  };
+
+  const putFile = async (key, localPath) => {
+    const target = resolve(key);
+    if (path.resolve(localPath) === target) return;
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    try {
+      await fs.promises.rename(localPath, target);
+    } catch (err) {
+      if (err.code !== 'EXDEV') throw err;
+      // Staging on another volume
+      await fs.promises.copyFile(localPath, target);
+      await fs.promises.unlink(localPath);
+    }
+  };
+
+  const put = async (key, stream) => {
+    const target = resolve(key);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await pipeline(stream, fs.createWriteStream(target));
+  };
+
+  const getStream = async (key, { start, end } = {}) => {
+    return fs.createReadStream(resolve(key), { start, end, highWaterMark: 1024 * 1024 }); // 1MB buffer
+  };
+
+  const stat = async (key) => {
+    try {
+      const info = await fs.promises.stat(resolve(key));
+      return info.isFile() ? { size: info.size, mtimeMs: info.mtimeMs } : null;
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  };
+
+  const remove = async (key) => {
+    await fs.promises.rm(resolve(key), { force: true });
+  };
+
+  const deletePrefix = async (prefix) => {
+    await fs.promises.rm(resolve(prefix), { recursive: true, force: true });
+  };
+
+  const list = async (prefix = '') => {
+    const results = [];
+    const walk = async (dir) => {
+      let entries;
+      try {
+        entries = await fs.promises.readdir(dir, { withFileTypes: true });
+      } catch (err) {
+        if (err.code === 'ENOENT') return;
+        throw err;
+      }
+      for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(fullPath);
+        } else if (entry.isFile()) {
+          const key = path.relative(root, fullPath).split(path.sep).join('/');
+          if (!key.startsWith(prefix)) continue;
+          const info = await fs.promises.stat(fullPath);
+          results.push({ key, size: info.size, mtimeMs: info.mtimeMs });
+        }
+      }
+    };
+    await walk(root);
+    return results;
+  };
+
+  return { name: 'local', putFile, put, getStream, stat, delete: remove, deletePrefix, list };
+};
+
+// Any S3-compatible object store (AWS S3, MinIO, R2, ...)
+const createS3Driver = ({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle, prefix = '' }) => {
+  const {
+    S3Client,
+    GetObjectCommand,
+    HeadObjectCommand,
+    DeleteObjectCommand,
+    DeleteObjectsCommand,
+    ListObjectsV2Command
+  } = require('@aws-sdk/client-s3');
+  const { Upload } = require('@aws-sdk/lib-storage');
+
+  if (!bucket) throw new Error('S3_BUCKET is required for the s3 storage driver');
+
+  const client = new S3Client({
+    region: region || 'us-east-1',
+    endpoint: endpoint || undefined,
+    forcePathStyle: !!forcePathStyle,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  const toObjectKey = (key) => `${prefix}${key}`;
+  const fromObjectKey = (objectKey) => objectKey.slice(prefix.length);
+
+  // Multipart upload so 50GB files stream through without buffering
+  const put = async (key, stream, { contentType } = {}) => {
+    const upload = new Upload({
+      client,
+      params: {
+        Bucket: bucket,
+        Key: toObjectKey(key),
+        Body: stream,
+        ContentType: contentType || 'application/octet-stream'
+      },
+      partSize: 64 * 1024 * 1024,
+      queueSize: 4
+    });
+    await upload.done();
+  };
+
+  const putFile = async (key, localPath, options = {}) => {
+    await put(key, fs.createReadStream(localPath, { highWaterMark: 1024 * 1024 }), options);
+    await fs.promises.unlink(localPath);
+  };
+
+  const getStream = async (key, { start, end } = {}) => {
+    const range = start !== undefined ? `bytes=${start}-${end !== undefined ? end : ''}` : undefined;
+    const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: toObjectKey(key), Range: range }));
+    return result.Body;
+  };
+
+  const stat = async (key) => {
+    try {
+      const result = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: toObjectKey(key) }));
+      return { size: result.ContentLength, mtimeMs: result.LastModified ? result.LastModified.getTime() : 0 };
+    } catch (err) {
+      if (err.name === 'NotFound' || (err.$metadata && err.$metadata.httpStatusCode === 404)) return null;
+      throw err;
+    }
+  };
+
+  const remove = async (key) => {
+    await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: toObjectKey(key) }));
+  };
+
+  const list = async (listPrefix = '') => {
+    const results = [];
+    let ContinuationToken;
+    do {
+      const page = await client.send(new ListObjectsV2Command({
+        Bucket: bucket,
+        Prefix: toObjectKey(listPrefix),
+        ContinuationToken
+      }));
+      (page.Contents || []).forEach(obj => {
+        results.push({
+          key: fromObjectKey(obj.Key),
+          size: obj.Size,
+          mtimeMs: obj.LastModified ? obj.LastModified.getTime() : 0
+        });
+      });
+      ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+    return results;
+  };
+
+  const deletePrefix = async (listPrefix) => {
+    const objects = await list(listPrefix);
+    // DeleteObjects takes at most 1000 keys per call
+    for (let i = 0; i < objects.length; i += 1000) {
+      await client.send(new DeleteObjectsCommand({
+        Bucket: bucket,
+        Delete: { Objects: objects.slice(i, i + 1000).map(obj => ({ Key: toObjectKey(obj.key) })) }
+      }));
+    }
+  };
+
+  return { name: 's3', putFile, put, getStream, stat, delete: remove, deletePrefix, list };
+};
+
+// STORAGE_DRIVER=local|s3
+const createStorage = ({ type, root }) => {
+  if (!type || type === 'local') {
+    return createLocalDriver({ root });
+  }
+  if (type === 's3') {
+    return createS3Driver({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION,
+      endpoint: process.env.S3_ENDPOINT,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      prefix: process.env.S3_PREFIX || ''
+    });
+  }
+  throw new Error(`Unknown storage driver: ${type}`);
+};
+
+module.exports = { createStorage, createLocalDriver, createS3Driver };
@@ -0,0 +1,128 @@
+const fs = require('fs');
+const path = require('path');
+
+// Pluggable metadata store for sessions, whisper files and rooms, and download stats.
+// A driver only needs two methods:
+//   load()         -> snapshot | null
+//   save(snapshot) -> void
+// where snapshot = { sessions: [[id, value]], whisperFiles: [...], whisperRooms: [...], downloadStats: [...] }
+
+const SAVE_DEBOUNCE_MS = 1000;
+
+// Keeps everything in process memory (the old behaviour)
+const createMemoryDriver = () => ({
+  name: 'memory',
+  load: () => null,
+  save: () => {}
+});
+
+// Writes a JSON snapshot to disk; rename keeps the file intact if we crash mid-write
+const createFileDriver = (filePath) => ({
+  name: 'file',
+  load: () => {
+    if (!fs.existsSync(filePath)) return null;
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+      console.error(`Store: could not read ${filePath}, starting empty:`, err.message);
+      return null;
+    }
+  },
+  save: (snapshot) => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(snapshot));
+    fs.renameSync(tmpPath, filePath);
+  }
+});
+
+// Resolve SESSION_STORE=memory|file|<path to custom driver module>
+const resolveDriver = (type, dataDir) => {
+  if (!type || type === 'file') {
+    return createFileDriver(path.join(dataDir, 'store.json'));
+  }
+  if (type === 'memory') {
+    return createMemoryDriver();
+  }
+  // Custom driver module exporting (options) => driver
+  const factory = require(path.resolve(type));
+  return factory({ dataDir });
+};
+
+// Map that tells the store whenever an entry is added or removed
+class PersistentMap extends Map {
+  constructor(onChange) {
+    super();
+    this.onChange = onChange;
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    if (this.onChange) this.onChange();
+    return this;
+  }
+
+  delete(key) {
+    const deleted = super.delete(key);
+    if (deleted && this.onChange) this.onChange();
+    return deleted;
+  }
+
+  clear() {
+    super.clear();
+    if (this.onChange) this.onChange();
+  }
+}
+
+const createStore = ({ type, dataDir }) => {
+  const driver = resolveDriver(type, dataDir);
+  let saveTimer = null;
+
+  const flush = () => {
+    if (saveTimer) {
+      clearTimeout(saveTimer);
+      saveTimer = null;
+    }
+    try {
+      driver.save({
+        sessions: Array.from(store.sessions.entries()),
+        whisperFiles: Array.from(store.whisperFiles.entries()),
+        whisperRooms: Array.from(store.whisperRooms.entries()),
+        downloadStats: Array.from(store.downloadStats.entries())
+      });
+    } catch (err) {
+      console.error('Store: failed to save snapshot:', err.message);
+    }
+  };
+
+  // Coalesce bursts of writes (chunked uploads, download stats) into one save
+  const scheduleSave = () => {
+    if (saveTimer) return;
+    saveTimer = setTimeout(flush, SAVE_DEBOUNCE_MS);
+  };
+
+  const load = () => {
+    const snapshot = driver.load();
+    if (!snapshot) return;
+    // Fill the underlying maps directly so loading doesn't trigger a save
+    (snapshot.sessions || []).forEach(([k, v]) => Map.prototype.set.call(store.sessions, k, v));
+    (snapshot.whisperFiles || []).forEach(([k, v]) => Map.prototype.set.call(store.whisperFiles, k, v));
+    (snapshot.whisperRooms || []).forEach(([k, v]) => Map.prototype.set.call(store.whisperRooms, k, v));
+    (snapshot.downloadStats || []).forEach(([k, v]) => Map.prototype.set.call(store.downloadStats, k, v));
+  };
+
+  const store = {
+    driver: driver.name,
+    sessions: new PersistentMap(scheduleSave),
+    whisperFiles: new PersistentMap(scheduleSave),
+    whisperRooms: new PersistentMap(scheduleSave),
+    downloadStats: new PersistentMap(scheduleSave),
+    load,
+    flush,
+    scheduleSave
+  };
+
+  return store;
+};
+
+module.exports = { createStore, createFileDriver, createMemoryDriver };
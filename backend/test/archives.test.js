@@ -0,0 +1,192 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Readable } = require('stream');
+const yauzl = require('yauzl');
+const tarStream = require('tar-stream');
+const {
+  isCompressedFile,
+  uniqueArchiveNames,
+  buildZipPlan,
+  buildTarPlan,
+  readPlan,
+  bufferEntry,
+  archiveEtag
+} = require('../archives');
+
+const MTIME = Date.UTC(2026, 8, 1, 12, 30, 10);
+
+// Bit by bit, independent of both zlib.crc32 and the table in archives.js
+const crc32 = (buffer) => {
+  let crc = 0xFFFFFFFF;
+  for (const byte of buffer) {
+    crc ^= byte;
+    for (let k = 0; k < 8; k++) crc = crc & 1 ? (crc >>> 1) ^ 0xEDB88320 : crc >>> 1;
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+const FILES = [
+  { name: 'readme.txt', content: Buffer.from('hello archive\n') },
+  { name: 'docs/notes/ünïcode naming.md', content: Buffer.from('# notes\n'.repeat(300)) },
+  { name: 'empty.bin', content: Buffer.alloc(0) },
+  { name: `${'deep/'.repeat(25)}long-name.txt`, content: Buffer.from('far down') },
+  { name: 'random.dat', content: Buffer.from(Array.from({ length: 70000 }, (_, i) => (i * 7919) % 251)) }
+];
+
+// Entries the way server.js builds them, read from memory; `opened` counts the bytes read
+const toEntries = (files, crcStates = {}) => files.map(file => {
+  const entry = {
+    id: file.name,
+    name: file.name,
+    size: file.content.length,
+    mtimeMs: MTIME,
+    crc32: null,
+    crcState: crcStates[file.name] ? { ...crcStates[file.name] } : { bytes: 0, crc: 0 },
+    opened: 0,
+    open: async ({ start, end }) => {
+      entry.opened += end - start + 1;
+      return Readable.from([file.content.subarray(start, end + 1)]);
+    }
+  };
+  return entry;
+});
+
+const collect = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+const unzip = (buffer) => new Promise((resolve, reject) => {
+  yauzl.fromBuffer(buffer, { lazyEntries: true, decodeStrings: true }, (err, zip) => {
+    if (err) return reject(err);
+    const files = [];
+    zip.on('error', reject);
+    zip.on('end', () => resolve(files));
+    zip.on('entry', (entry) => {
+      zip.openReadStream(entry, (openErr, stream) => {
+        if (openErr) return reject(openErr);
+        collect(stream).then(content => {
+          files.push({ name: entry.fileName, content, crc32: entry.crc32, method: entry.compressionMethod, mtime: entry.getLastModDate() });
+          zip.readEntry();
+        }, reject);
+      });
+    });
+    zip.readEntry();
+  });
+});
+
+const untar = (buffer) => new Promise((resolve, reject) => {
+  const extract = tarStream.extract();
+  const files = [];
+  extract.on('entry', (header, stream, next) => {
+    collect(stream).then(content => {
+      files.push({ name: header.name, content, type: header.type, mtime: header.mtime });
+      next();
+    }, reject);
+  });
+  extract.on('finish', () => resolve(files));
+  extract.on('error', reject);
+  extract.end(buffer);
+});
+
+test('a stored ZIP unzips to the same files, with matching CRCs', async () => {
+  const entries = toEntries(FILES);
+  const plan = buildZipPlan(entries);
+  const zip = await collect(readPlan(plan));
+
+  assert.strictEqual(zip.length, plan.length);
+  const files = await unzip(zip);
+  assert.deepStrictEqual(files.map(file => file.name), FILES.map(file => file.name));
+  files.forEach((file, i) => {
+    assert.ok(file.content.equals(FILES[i].content), file.name);
+    assert.strictEqual(file.method, 0);
+    assert.strictEqual(file.crc32, crc32(FILES[i].content));
+  });
+  // Each file is read once: its CRC is worked out while it streams
+  entries.forEach(entry => assert.strictEqual(entry.opened, entry.size));
+  entries.forEach((entry, i) => assert.strictEqual(entry.crc32, crc32(FILES[i].content)));
+});
+
+test('a ZIP resumed part-way matches the one sent in a single go', async () => {
+  const whole = await collect(readPlan(buildZipPlan(toEntries(FILES))));
+
+  // First request stops inside random.dat; its CRC progress is kept like onCrcProgress does
+  const progress = {};
+  const first = toEntries(FILES).map(entry => ({ ...entry, onCrcProgress: (state) => { progress[entry.name] = state; } }));
+  const cut = whole.length - 30000;
+  const head = await collect(readPlan(buildZipPlan(first), { start: 0, end: cut - 1 }));
+  assert.ok(progress['random.dat'] && progress['random.dat'].bytes > 0);
+
+  // The resume starts at `cut` with fresh entries and reads random.dat only from there
+  const second = toEntries(FILES, progress);
+  const tail = await collect(readPlan(buildZipPlan(second), { start: cut }));
+  assert.ok(Buffer.concat([head, tail]).equals(whole));
+  assert.strictEqual(second.find(entry => entry.name === 'random.dat').opened, FILES[4].content.length - progress['random.dat'].bytes);
+  assert.strictEqual((await unzip(Buffer.concat([head, tail]))).length, FILES.length);
+});
+
+test('a range from the end of a ZIP is the end record of the full archive', async () => {
+  const whole = await collect(readPlan(buildZipPlan(toEntries(FILES))));
+  const plan = buildZipPlan(toEntries(FILES));
+  const tail = await collect(readPlan(plan, { start: plan.length - 22 }));
+  assert.ok(tail.equals(whole.subarray(whole.length - 22)));
+  assert.strictEqual(tail.readUInt32LE(0), 0x06054b50);
+});
+
+test('a tar untars to the same files, long and non-ASCII names included', async () => {
+  const plan = buildTarPlan(toEntries(FILES));
+  const tar = await collect(readPlan(plan));
+
+  assert.strictEqual(tar.length, plan.length);
+  assert.strictEqual(tar.length % 512, 0);
+  const files = await untar(tar);
+  assert.deepStrictEqual(files.map(file => file.name), FILES.map(file => file.name));
+  files.forEach((file, i) => {
+    assert.strictEqual(file.type, 'file');
+    assert.ok(file.content.equals(FILES[i].content), file.name);
+    assert.strictEqual(file.mtime.getTime(), Math.floor(MTIME / 1000) * 1000);
+  });
+});
+
+test('any byte range of a tar is that slice of the whole archive', async () => {
+  const whole = await collect(readPlan(buildTarPlan(toEntries(FILES))));
+  for (const [start, end] of [[0, 511], [600, 5000], [whole.length - 1500, whole.length - 1]]) {
+    const part = await collect(readPlan(buildTarPlan(toEntries(FILES)), { start, end }));
+    assert.ok(part.equals(whole.subarray(start, end + 1)), `${start}-${end}`);
+  }
+});
+
+test('the same files always give the same bytes and ETag', async () => {
+  const first = await collect(readPlan(buildZipPlan(toEntries(FILES))));
+  const second = await collect(readPlan(buildZipPlan(toEntries(FILES))));
+  assert.ok(first.equals(second));
+
+  const etag = archiveEtag('zip', toEntries(FILES));
+  assert.strictEqual(archiveEtag('zip', toEntries(FILES)), etag);
+  assert.notStrictEqual(archiveEtag('tar', toEntries(FILES)), etag);
+  assert.notStrictEqual(archiveEtag('zip', toEntries(FILES.slice(1))), etag);
+});
+
+test('bufferEntry carries its CRC and reads its own bytes', async () => {
+  const manifest = Buffer.from('sealed manifest bytes');
+  const plan = buildZipPlan([bufferEntry('manifest.enc', manifest, MTIME)]);
+  const [file] = await unzip(await collect(readPlan(plan)));
+  assert.strictEqual(file.name, 'manifest.enc');
+  assert.ok(file.content.equals(manifest));
+});
+
+test('uniqueArchiveNames numbers later duplicates, ignoring case', () => {
+  assert.deepStrictEqual(
+    uniqueArchiveNames(['a.txt', 'A.txt', 'a.txt', 'dir/b', 'dir/b']),
+    ['a.txt', 'A (2).txt', 'a (3).txt', 'dir/b', 'dir/b (2)']
+  );
+});
+
+test('isCompressedFile goes by extension and media type', () => {
+  assert.strictEqual(isCompressedFile('backup.TAR.GZ', 'application/octet-stream'), true);
+  assert.strictEqual(isCompressedFile('clip.bin', 'video/mp4'), true);
+  assert.strictEqual(isCompressedFile('photo', 'image/jpeg'), true);
+  assert.strictEqual(isCompressedFile('drawing.svg', 'image/svg+xml'), false);
+  assert.strictEqual(isCompressedFile('notes.txt', 'text/plain'), false);
+});
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  normalizeRelativePath,
+  splitRelativePath,
+  joinFolderPath,
+  isInFolder,
+  buildFileTree
+} = require('../folders');
+
+test('normalizeRelativePath uses forward slashes and drops empty and "." segments', () => {
+  assert.strictEqual(normalizeRelativePath('photos/2024/img.jpg'), 'photos/2024/img.jpg');
+  assert.strictEqual(normalizeRelativePath('photos\\2024\\img.jpg'), 'photos/2024/img.jpg');
+  assert.strictEqual(normalizeRelativePath('./a//b/./c.txt'), 'a/b/c.txt');
+  assert.strictEqual(normalizeRelativePath('a/b/'), 'a/b');
+  assert.strictEqual(normalizeRelativePath('file.txt'), 'file.txt');
+});
+
+test('normalizeRelativePath rejects absolute, escaping and unwritable paths', () => {
+  assert.strictEqual(normalizeRelativePath(undefined), null);
+  assert.strictEqual(normalizeRelativePath(42), null);
+  assert.strictEqual(normalizeRelativePath(''), null);
+  assert.strictEqual(normalizeRelativePath('./'), null);
+  assert.strictEqual(normalizeRelativePath('/etc/passwd'), null);
+  assert.strictEqual(normalizeRelativePath('\\\\server\\share\\a.txt'), null);
+  assert.strictEqual(normalizeRelativePath('C:\\Windows\\a.txt'), null);
+  assert.strictEqual(normalizeRelativePath('c:a.txt'), null);
+  assert.strictEqual(normalizeRelativePath('a/../../b'), null);
+  assert.strictEqual(normalizeRelativePath('..\\b'), null);
+  assert.strictEqual(normalizeRelativePath('a/b\x00c'), null);
+  assert.strictEqual(normalizeRelativePath('a/b\nc'), null);
+  assert.strictEqual(normalizeRelativePath('a/b\x7fc'), null);
+});
+
+test('normalizeRelativePath limits path length, segment length and depth', () => {
+  assert.strictEqual(normalizeRelativePath(`a/${'x'.repeat(255)}`), `a/${'x'.repeat(255)}`);
+  assert.strictEqual(normalizeRelativePath(`a/${'x'.repeat(256)}`), null);
+  assert.strictEqual(normalizeRelativePath(`${'abc/'.repeat(256)}d`), null);
+  assert.strictEqual(normalizeRelativePath(Array(32).fill('d').join('/')), Array(32).fill('d').join('/'));
+  assert.strictEqual(normalizeRelativePath(Array(33).fill('d').join('/')), null);
+});
+
+test('splitRelativePath and joinFolderPath undo each other', () => {
+  assert.deepStrictEqual(splitRelativePath('a/b/c.txt'), { folder: 'a/b', name: 'c.txt' });
+  assert.deepStrictEqual(splitRelativePath('c.txt'), { folder: '', name: 'c.txt' });
+  assert.strictEqual(joinFolderPath('a/b', 'c.txt'), 'a/b/c.txt');
+  assert.strictEqual(joinFolderPath('', 'c.txt'), 'c.txt');
+  ['a/b/c.txt', 'c.txt'].forEach(path => {
+    const { folder, name } = splitRelativePath(path);
+    assert.strictEqual(joinFolderPath(folder, name), path);
+  });
+});
+
+test('isInFolder matches the folder and everything below it, not lookalikes', () => {
+  assert.strictEqual(isInFolder('photos', 'photos'), true);
+  assert.strictEqual(isInFolder('photos/2024', 'photos'), true);
+  assert.strictEqual(isInFolder('photos-old', 'photos'), false);
+  assert.strictEqual(isInFolder('', 'photos'), false);
+  assert.strictEqual(isInFolder(undefined, 'photos'), false);
+  // The top level holds everything
+  assert.strictEqual(isInFolder('photos/2024', ''), true);
+  assert.strictEqual(isInFolder('', ''), true);
+});
+
+test('buildFileTree nests files by folder with sizes and file counts', () => {
+  const tree = buildFileTree([
+    { id: '1', name: 'img.jpg', folder: 'photos/2024', size: 300, type: 'image/jpeg' },
+    { id: '2', name: 'old.jpg', folder: 'photos', size: 200, type: 'image/jpeg' },
+    { id: '3', name: 'readme.txt', folder: '', size: 10, type: 'text/plain' },
+    { id: '4', name: 'notes.md', folder: 'photos/2024', size: 5 }
+  ]);
+
+  assert.strictEqual(tree.type, 'folder');
+  assert.strictEqual(tree.path, '');
+  assert.strictEqual(tree.size, 515);
+  assert.strictEqual(tree.fileCount, 4);
+
+  const photos = tree.children.find(node => node.name === 'photos');
+  assert.deepStrictEqual({ path: photos.path, size: photos.size, fileCount: photos.fileCount }, { path: 'photos', size: 505, fileCount: 3 });
+  const year = photos.children.find(node => node.name === '2024');
+  assert.deepStrictEqual({ path: year.path, size: year.size, fileCount: year.fileCount }, { path: 'photos/2024', size: 305, fileCount: 2 });
+  assert.deepStrictEqual(year.children.map(node => node.id), ['1', '4']);
+});
+
+test('buildFileTree marks files as files and keeps their media type as mimetype', () => {
+  const tree = buildFileTree([
+    { id: '1', name: 'a.jpg', folder: 'x', size: 1, type: 'image/jpeg' },
+    { id: '2', name: 'b', folder: 'x', size: 1 },
+    // A file that claims to be a folder stays a file, and doesn't swallow the next one
+    { id: '3', name: 'y', folder: 'x', size: 1, type: 'folder' },
+    { id: '4', name: 'c.txt', folder: 'x/y', size: 1, type: 'text/plain' }
+  ]);
+
+  const x = tree.children[0];
+  const files = x.children.filter(node => node.type === 'file');
+  assert.deepStrictEqual(files.map(node => [node.id, node.mimetype]), [
+    ['1', 'image/jpeg'],
+    ['2', null],
+    ['3', 'folder']
+  ]);
+  assert.strictEqual(files.some(node => node.children), false);
+
+  const folders = x.children.filter(node => node.type === 'folder');
+  assert.deepStrictEqual(folders.map(node => [node.path, node.fileCount]), [['x/y', 1]]);
+  assert.strictEqual(folders[0].children[0].id, '4');
+});
+
+test('buildFileTree lists folders before files, each alphabetically', () => {
+  const tree = buildFileTree([
+    { id: '1', name: 'zeta.txt', folder: '', size: 1 },
+    { id: '2', name: 'alpha.txt', folder: '', size: 1 },
+    { id: '3', name: 'm.txt', folder: 'zoo', size: 1 },
+    { id: '4', name: 'n.txt', folder: 'apps', size: 1 }
+  ]);
+  assert.deepStrictEqual(tree.children.map(node => `${node.type}:${node.name}`), [
+    'folder:apps',
+    'folder:zoo',
+    'file:alpha.txt',
+    'file:zeta.txt'
+  ]);
+  assert.deepStrictEqual(buildFileTree([]), { type: 'folder', name: '', path: '', size: 0, fileCount: 0, children: [] });
+});
@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  MAX_RANGES,
+  parseRange,
+  makeEtag,
+  checkPreconditions,
+  ifRangeMatches,
+  contentDisposition,
+  buildMultipartBody,
+  createDeliveryTracker
+} = require('../ranges');
+
+const request = (method, headers = {}) => ({ method, headers });
+
+test('parseRange serves the whole file for a missing, foreign or malformed header', () => {
+  assert.strictEqual(parseRange(undefined, 100), null);
+  assert.strictEqual(parseRange('items=0-5', 100), null);
+  assert.strictEqual(parseRange('bytes=', 100), null);
+  assert.strictEqual(parseRange('bytes=-', 100), null);
+  assert.strictEqual(parseRange('bytes=5-2', 100), null);
+  assert.strictEqual(parseRange('bytes=a-b', 100), null);
+});
+
+test('parseRange resolves start-end, open-ended and suffix ranges', () => {
+  assert.deepStrictEqual(parseRange('bytes=0-9', 100), [{ start: 0, end: 9 }]);
+  assert.deepStrictEqual(parseRange('bytes=90-', 100), [{ start: 90, end: 99 }]);
+  assert.deepStrictEqual(parseRange('bytes=-10', 100), [{ start: 90, end: 99 }]);
+  // Past the end is clamped, a suffix longer than the file is the whole file
+  assert.deepStrictEqual(parseRange('bytes=50-500', 100), [{ start: 50, end: 99 }]);
+  assert.deepStrictEqual(parseRange('bytes=-500', 100), [{ start: 0, end: 99 }]);
+  assert.deepStrictEqual(parseRange(' BYTES = 0-0 ', 100), [{ start: 0, end: 0 }]);
+});
+
+test('parseRange sorts and merges overlapping and adjacent ranges', () => {
+  assert.deepStrictEqual(parseRange('bytes=50-59,0-9,10-19,55-70', 100), [
+    { start: 0, end: 19 },
+    { start: 50, end: 70 }
+  ]);
+});
+
+test('parseRange returns no ranges when none can be satisfied', () => {
+  assert.deepStrictEqual(parseRange('bytes=100-', 100), []);
+  assert.deepStrictEqual(parseRange('bytes=-0', 100), []);
+  assert.deepStrictEqual(parseRange('bytes=0-', 0), []);
+});
+
+test('parseRange ignores requests for too many ranges', () => {
+  const specs = Array.from({ length: MAX_RANGES + 1 }, (_, i) => `${i * 2}-${i * 2}`);
+  assert.strictEqual(parseRange(`bytes=${specs.join(',')}`, 1000), null);
+});
+
+test('checkPreconditions follows the RFC 9110 evaluation order', () => {
+  const validators = { etag: makeEtag('f', 100, 5000), lastModified: 5000 };
+  const older = new Date(1000).toUTCString();
+  const newer = new Date(9000).toUTCString();
+
+  assert.strictEqual(checkPreconditions(request('GET'), validators), null);
+  assert.strictEqual(checkPreconditions(request('GET', { 'if-match': '"other"' }), validators), 412);
+  assert.strictEqual(checkPreconditions(request('GET', { 'if-match': `W/${validators.etag}` }), validators), 412);
+  assert.strictEqual(checkPreconditions(request('GET', { 'if-match': validators.etag }), validators), null);
+  assert.strictEqual(checkPreconditions(request('GET', { 'if-unmodified-since': older }), validators), 412);
+
+  assert.strictEqual(checkPreconditions(request('GET', { 'if-none-match': `W/${validators.etag}` }), validators), 304);
+  assert.strictEqual(checkPreconditions(request('POST', { 'if-none-match': '*' }), validators), 412);
+  assert.strictEqual(checkPreconditions(request('HEAD', { 'if-modified-since': newer }), validators), 304);
+  assert.strictEqual(checkPreconditions(request('GET', { 'if-modified-since': older }), validators), null);
+  // If-None-Match wins over If-Modified-Since
+  assert.strictEqual(checkPreconditions(request('GET', { 'if-none-match': '"other"', 'if-modified-since': newer }), validators), null);
+});
+
+test('ifRangeMatches compares ETags strongly and dates exactly', () => {
+  const validators = { etag: '"abc"', lastModified: Date.parse('Tue, 01 Sep 2026 10:00:00 GMT') };
+  assert.strictEqual(ifRangeMatches(request('GET'), validators), true);
+  assert.strictEqual(ifRangeMatches(request('GET', { 'if-range': '"abc"' }), validators), true);
+  assert.strictEqual(ifRangeMatches(request('GET', { 'if-range': 'W/"abc"' }), validators), false);
+  assert.strictEqual(ifRangeMatches(request('GET', { 'if-range': 'Tue, 01 Sep 2026 10:00:00 GMT' }), validators), true);
+  assert.strictEqual(ifRangeMatches(request('GET', { 'if-range': 'Tue, 01 Sep 2026 10:00:01 GMT' }), validators), false);
+});
+
+test('contentDisposition gives an ASCII fallback and the UTF-8 name', () => {
+  assert.strictEqual(
+    contentDisposition('résumé "v2".pdf'),
+    'attachment; filename="r_sum_ _v2_.pdf"; filename*=UTF-8\'\'r%C3%A9sum%C3%A9%20%22v2%22.pdf'
+  );
+  assert.strictEqual(contentDisposition("it's (1).txt", 'inline'), 'inline; filename="it\'s (1).txt"; filename*=UTF-8\'\'it%27s%20%281%29.txt');
+});
+
+test('buildMultipartBody lays out exactly `length` bytes with each range in place', () => {
+  const file = Buffer.from('0123456789abcdefghij');
+  const ranges = parseRange('bytes=0-3,10-12', file.length);
+  const body = buildMultipartBody(ranges, file.length, 'text/plain');
+  const bytes = Buffer.concat(body.parts.map(part => (Buffer.isBuffer(part) ? part : file.subarray(part.start, part.end + 1))));
+  const boundary = body.contentType.split('boundary=')[1];
+
+  assert.strictEqual(bytes.length, body.length);
+  assert.strictEqual(bytes.toString(), [
+    `--${boundary}\r\nContent-Type: text/plain\r\nContent-Range: bytes 0-3/20\r\n\r\n0123`,
+    `\r\n--${boundary}\r\nContent-Type: text/plain\r\nContent-Range: bytes 10-12/20\r\n\r\nabc`,
+    `\r\n--${boundary}--\r\n`
+  ].join(''));
+});
+
+test('createDeliveryTracker completes a download only once the client has every byte', () => {
+  const tracker = createDeliveryTracker({ ttl: 60000 });
+
+  assert.strictEqual(tracker.record('whole', 0, 100, 100), true);
+
+  // The last bytes alone, or a range past what they hold, don't count
+  assert.strictEqual(tracker.record('tail', 90, 10, 100), false);
+  assert.strictEqual(tracker.record('tail', 0, 40, 100), false);
+  assert.strictEqual(tracker.record('tail', 60, 40, 100), false);
+  // Resuming from where they stopped does
+  assert.strictEqual(tracker.record('tail', 40, 60, 100), true);
+
+  // Once complete it starts over, so a second download has to be whole again
+  assert.strictEqual(tracker.record('tail', 90, 10, 100), false);
+  assert.strictEqual(tracker.record('empty', 0, 0, 0), true);
+});
@@ -0,0 +1,81 @@
+// Chunk receipts for files relayed over the session socket.
+// Receivers ack the chunks they've got; each receiver gets a bitmap so chunks that
+// are re-sent after a "request_chunks" aren't counted twice, and the server can
+// work out which chunks a receiver is still missing.
+
+const MAX_CHUNK_INDEX = 16 * 1024 * 1024; // 16M chunks (1TB at 64KB) bounds the bitmap at 2MB
+const MAX_MISSING_REPORTED = 1000; // Missing chunks listed per request; receivers ask again for the rest
+
+const createReceiptTracker = () => {
+  const receipts = new Map(); // { 'sessionId:fileId:receiverId': { sessionId, fileId, receiverId, bits, received, reportedAt } }
+
+  const keyFor = (sessionId, fileId, receiverId) => `${sessionId}:${fileId}:${receiverId}`;
+
+  const has = (entry, index) => {
+    const byte = index >> 3;
+    return byte < entry.bits.length && (entry.bits[byte] & (1 << (index & 7))) !== 0;
+  };
+
+  // Record acked chunks; returns the receiver's entry
+  const ack = (sessionId, fileId, receiverId, chunkIndexes) => {
+    const key = keyFor(sessionId, fileId, receiverId);
+    let entry = receipts.get(key);
+    if (!entry) {
+      entry = { sessionId, fileId, receiverId, bits: Buffer.alloc(0), received: 0, reportedAt: 0 };
+      receipts.set(key, entry);
+    }
+
+    chunkIndexes.forEach(index => {
+      if (!Number.isInteger(index) || index < 0 || index >= MAX_CHUNK_INDEX) return;
+      if (has(entry, index)) return;
+      const byte = index >> 3;
+      if (byte >= entry.bits.length) {
+        // Grow geometrically so streaming acks don't reallocate every chunk
+        const grown = Buffer.alloc(Math.max(byte + 1, entry.bits.length * 2));
+        entry.bits.copy(grown);
+        entry.bits = grown;
+      }
+      entry.bits[byte] |= 1 << (index & 7);
+      entry.received++;
+    });
+    return entry;
+  };
+
+  const get = (sessionId, fileId, receiverId) => receipts.get(keyFor(sessionId, fileId, receiverId)) || null;
+
+  // Chunks below totalChunks the receiver hasn't acked (at most MAX_MISSING_REPORTED)
+  const missing = (sessionId, fileId, receiverId, totalChunks) => {
+    const entry = get(sessionId, fileId, receiverId);
+    const result = [];
+    for (let i = 0; i < totalChunks && result.length < MAX_MISSING_REPORTED; i++) {
+      if (!entry || !has(entry, i)) result.push(i);
+    }
+    return result;
+  };
+
+  const forget = (sessionId, fileId, receiverId) => {
+    receipts.delete(keyFor(sessionId, fileId, receiverId));
+  };
+
+  // Drop everything a receiver had in flight; returns the entries removed
+  const forgetReceiver = (sessionId, receiverId) => {
+    const removed = [];
+    receipts.forEach((entry, key) => {
+      if (entry.sessionId === sessionId && entry.receiverId === receiverId) {
+        removed.push(entry);
+        receipts.delete(key);
+      }
+    });
+    return removed;
+  };
+
+  const forgetSession = (sessionId) => {
+    receipts.forEach((entry, key) => {
+      if (entry.sessionId === sessionId) receipts.delete(key);
+    });
+  };
+
+  return { ack, get, missing, forget, forgetReceiver, forgetSession };
+};
+
+module.exports = { createReceiptTracker, MAX_CHUNK_INDEX, MAX_MISSING_REPORTED };